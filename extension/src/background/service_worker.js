@@ -2,34 +2,21 @@
 
 // Import shared modules (inline for MV3 compatibility)
 // Paths are relative to service worker file location
-importScripts('../shared/plan.js', '../shared/metrics.js', '../shared/settings.js');
+importScripts('../shared/settings.js', '../shared/plan.js', '../shared/metrics.js', '../shared/sites.js', '../shared/drift.js', '../shared/schedules.js', '../shared/budget.js', '../shared/pause.js', '../shared/trace.js', '../shared/i18n.js', '../shared/messages.js');
+// Site definitions, generated from src/shared/sites/ by scripts/sync-sites.js
+importScripts('siteImports.js');
 
 // Extract from global scope
 const { getPlan, getEffectiveSettings, setProPlan } = self.FocusNudgePlan;
-const { ensureWeekInitialized, recordNudgeShown, maybeRecordEarlyExit, getWeeklySummary, resetWeeklySummary } = self.FocusNudgeMetrics;
-
-const MESSAGES = {
-  sarcastic: [
-    "Bold of you to call this \"networking.\"",
-    "You've been marinating in the feed. Want to do the thing you came for?",
-    "Your future self just cleared their throat.",
-    "If scrolling paid bills, you'd be a billionaire."
-  ],
-  motivational: [
-    "Quick reset: what's the one thing you want to finish next?",
-    "Small step now. Big relief later.",
-    "Choose progress for 5 minutes. Just 5."
-  ],
-  gentle: [
-    "Tiny nudge: do you want to stay here a bit longer?",
-    "If this isn't serving you, it's okay to step away."
-  ]
-};
-
-function pickMessage(tone) {
-  const arr = MESSAGES[tone] || MESSAGES.gentle;
-  return arr[Math.floor(Math.random() * arr.length)];
-}
+const { ensureWeekInitialized, recordNudgeShown, maybeRecordEarlyExit, recordNudgeOutcome, recordSubModeDrift, recordAwayTime, recordDriftPageTime, recordIntentionOutcome, recordPause, getTodayDriftMs, getTodayTotals, getWeeklySummary, resetWeeklySummary, EARLY_EXIT_WINDOW_MS } = self.FocusNudgeMetrics;
+const { getSite, getSiteForUrl, isTrackedUrl } = self.FocusNudgeSites;
+const { step: stepDrift, applyNudge, createState: createDriftState, EMPTY_BEHAVIOR } = self.FocusNudgeDrift;
+const { getSchedules, getActiveSchedule, applySchedule, forcesDrift } = self.FocusNudgeSchedules;
+const { getBudget, isWarningDue, markWarned } = self.FocusNudgeBudget;
+const { getPause, savePause, clearPause, createPause, PAUSE_KINDS } = self.FocusNudgePause;
+const { recordObservation } = self.FocusNudgeTrace;
+const { pickMessage, getTimeOfDay } = self.FocusNudgeMessages;
+const { t, init: initI18n, loadCatalog, LANGUAGE_KEY, SUPPORTED_LANGUAGES } = self.FocusNudgeI18n;
 
 function nowMs() {
   return Date.now();
@@ -37,117 +24,535 @@ function nowMs() {
 
 // State per tab
 const tabState = new Map();
-// tabId -> { driftMs, lastNudgeMs, lastUrl, lastMode, lastTickMs }
+// tabId -> { driftMs, lastNudgeMs, lastUrl, lastSite, lastMode, lastSubMode, lastConfidence, lastBehavior, lastTickMs, session, ... }
+// A tab's driftMs is only its share, kept for diagnostics; nudges are decided on the site totals below
+
+// State per site, shared by every tab and window of this profile
+const siteState = new Map();
+// siteId -> { driftMs, lastNudgeMs, lastIntervention, lastTabId }
+
+// Track active tab on a tracked site for early exit detection
+let lastActiveTrackedTabId = null;
+let lastActiveSiteId = null;
+
+// Chrome suspends idle MV3 workers; everything above is mirrored to session storage
+// (cleared when the browser closes) and restored when the worker starts again
+const SESSION_STATE_KEY = "focusNudgeWorkerState"; // { tabs: {tabId: state}, sites: {siteId: state}, activeTabId, activeSiteId }
+const stateReady = restoreState();
+
+// Ticks, mode changes, nudge actions and tab events all read-modify-write tab/site state and metrics across awaits,
+// so they run one at a time in arrival order
+let stateQueue = stateReady;
+
+/**
+ * Run a task after every state change queued before it
+ * @param {Function} task - Async function
+ * @returns {Promise<*>} The task's result
+ */
+function serialize(task) {
+  const run = stateQueue.then(task);
+  stateQueue = run.catch(() => {});
+  return run;
+}
 
-// Track active LinkedIn tab for early exit detection
-let lastActiveLinkedInTabId = null;
+// Built-in nudge lines follow the language picked in Options (or the browser's)
+let i18nReady = initI18n();
+
+chrome.storage.onChanged.addListener((changes, area) => {
+  if (area === "local" && changes[LANGUAGE_KEY]) {
+    i18nReady = initI18n();
+  }
+  // Redraw the toolbar badge right away when what it shows changes
+  if (area === "local" && (changes.focusNudgeSettings || changes.focusNudgeEnabled)) {
+    stateReady.then(refreshBadge);
+  }
+});
+
+/**
+ * Restore tab state and the active tracked tab after a worker restart
+ * @returns {Promise<void>}
+ */
+async function restoreState() {
+  try {
+    const stored = await chrome.storage.session.get({ [SESSION_STATE_KEY]: null });
+    const saved = stored[SESSION_STATE_KEY];
+    if (!saved) return;
+
+    Object.entries(saved.tabs || {}).forEach(([tabId, state]) => {
+      tabState.set(Number(tabId), { ...createTabState(), ...state });
+    });
+    Object.entries(saved.sites || {}).forEach(([siteId, state]) => {
+      siteState.set(siteId, { ...createSiteState(), ...state });
+    });
+    lastActiveTrackedTabId = saved.activeTabId ?? null;
+    lastActiveSiteId = saved.activeSiteId ?? null;
+  } catch (err) {
+    console.warn('[Focus Nudge] Could not restore worker state:', err);
+  }
+}
+
+/**
+ * Write tab state and the active tracked tab to session storage
+ * @returns {Promise<void>}
+ */
+async function persistState() {
+  await chrome.storage.session.set({
+    [SESSION_STATE_KEY]: {
+      tabs: Object.fromEntries(tabState),
+      sites: Object.fromEntries(siteState),
+      activeTabId: lastActiveTrackedTabId,
+      activeSiteId: lastActiveSiteId
+    }
+  });
+}
+
+/**
+ * Remember the active tab if it is on a tracked site
+ * @param {number} tabId
+ * @param {string} url
+ */
+function setLastActiveTrackedTab(tabId, url) {
+  const site = getSiteForUrl(url);
+  lastActiveTrackedTabId = site ? tabId : null;
+  lastActiveSiteId = site ? site.id : null;
+}
 
 // Initialize on startup
 chrome.runtime.onStartup.addListener(() => {
   ensureWeekInitialized();
+  scheduleTickAlarm();
 });
 
 chrome.runtime.onInstalled.addListener(() => {
   ensureWeekInitialized();
+  scheduleTickAlarm();
   // Ensure extension is enabled by default
   chrome.storage.local.set({ focusNudgeEnabled: true });
 });
 
-// Early exit detection: track when user leaves LinkedIn
+/**
+ * Record an early exit; a real one resets the escalation ladder
+ */
+async function recordExit() {
+  if (await maybeRecordEarlyExit(nowMs())) {
+    await resetEscalation();
+  }
+}
+
+/**
+ * Go back to the first step of the escalation ladder (the user acted on a nudge)
+ * @returns {Promise<void>}
+ */
+async function resetEscalation() {
+  await chrome.storage.local.set({ [ESCALATION_KEY]: { step: 0, pending: false } });
+}
+
+// Early exit detection: track when user leaves a tracked site
 async function checkForEarlyExit(newActiveTab) {
-  if (!lastActiveLinkedInTabId) return;
+  if (!lastActiveTrackedTabId) return;
   
-  // Check if previous LinkedIn tab is still active
+  // Check if previous tracked tab is still on its site
   try {
-    const prevTab = await chrome.tabs.get(lastActiveLinkedInTabId);
-    if (prevTab && prevTab.url?.startsWith("https://www.linkedin.com/")) {
-      // Previous tab is still LinkedIn, check if new tab is not
-      if (newActiveTab && !newActiveTab.url?.startsWith("https://www.linkedin.com/")) {
-        // User switched away from LinkedIn
-        await maybeRecordEarlyExit(nowMs());
+    const prevTab = await chrome.tabs.get(lastActiveTrackedTabId);
+    if (prevTab && getSiteForUrl(prevTab.url)?.id === lastActiveSiteId) {
+      // Previous tab is still on the site, check if new tab is not
+      if (newActiveTab && getSiteForUrl(newActiveTab.url)?.id !== lastActiveSiteId) {
+        // User switched away from the site
+        await recordExit();
       }
     }
   } catch {
     // Tab was closed or doesn't exist
-    await maybeRecordEarlyExit(nowMs());
+    await recordExit();
   }
 }
 
 // Track tab activation
-chrome.tabs.onActivated.addListener(async (activeInfo) => {
+chrome.tabs.onActivated.addListener((activeInfo) => serialize(async () => {
   try {
     const tab = await chrome.tabs.get(activeInfo.tabId);
-    if (tab.url?.startsWith("https://www.linkedin.com/")) {
-      lastActiveLinkedInTabId = activeInfo.tabId;
-    } else {
+    if (getSiteForUrl(tab.url)?.id !== lastActiveSiteId) {
       await checkForEarlyExit(tab);
-      lastActiveLinkedInTabId = null;
     }
+    setLastActiveTrackedTab(activeInfo.tabId, tab.url);
   } catch {
     // Tab doesn't exist
-    lastActiveLinkedInTabId = null;
+    setLastActiveTrackedTab(null, null);
   }
-});
+  await persistState();
+  await refreshBadge();
+}));
 
 // Track tab updates (URL changes)
-chrome.tabs.onUpdated.addListener(async (tabId, changeInfo, tab) => {
-  if (changeInfo.status === 'complete' && tab.url) {
-    if (tab.url.startsWith("https://www.linkedin.com/")) {
-      lastActiveLinkedInTabId = tabId;
-      // Content script should auto-inject via manifest.json
-      // Just verify it's there after a short delay
+chrome.tabs.onUpdated.addListener((tabId, changeInfo, tab) => {
+  if (changeInfo.status !== 'complete' || !tab.url) return;
+  serialize(async () => {
+    if (tabId === lastActiveTrackedTabId && getSiteForUrl(tab.url)?.id !== lastActiveSiteId) {
+      // User navigated away from the tracked site in the same tab
+      await recordExit();
+      setLastActiveTrackedTab(null, null);
+    }
+    const state = tabState.get(tabId);
+    if (state) {
+      await changeVisit(state, getSiteForUrl(tab.url)?.id || null);
+    }
+    if (isTrackedUrl(tab.url)) {
       // Content script will auto-inject via manifest.json
-    } else if (tabId === lastActiveLinkedInTabId) {
-      // User navigated away from LinkedIn
-      await checkForEarlyExit(tab);
-      lastActiveLinkedInTabId = null;
+      setLastActiveTrackedTab(tabId, tab.url);
     }
-  }
+    await persistState();
+  });
 });
 
 // Track tab removal
-chrome.tabs.onRemoved.addListener(async (tabId) => {
-  if (tabId === lastActiveLinkedInTabId) {
-    await maybeRecordEarlyExit(nowMs());
-    lastActiveLinkedInTabId = null;
+chrome.tabs.onRemoved.addListener((tabId) => serialize(async () => {
+  if (tabId === lastActiveTrackedTabId) {
+    await recordExit();
+    setLastActiveTrackedTab(null, null);
   }
+  const state = tabState.get(tabId);
   tabState.delete(tabId);
-});
+  await persistState();
+  if (state) await endSession(state);
+}));
 
 // Constants
-const TICK_INTERVAL_MS = 5000;
-const DRIFT_DECAY_RATE = 2; // Decay drift 2x faster than accumulation
-const DRIFT_RESET_RATIO = 0.6; // Reset to 60% after nudge to prevent spam
-const PASSIVE_SCROLL_THRESHOLD = 5; // scrolls per minute
-const PASSIVE_KEY_THRESHOLD = 2; // keys per minute
+const TICK_INTERVAL_MS = 5000; // Content scripts send a heartbeat this often while visible
+const TICK_ALARM = "focusNudgeTick";
+const TICK_ALARM_PERIOD_MIN = 0.5; // Fallback when no heartbeat arrives (Chrome's minimum alarm period)
+const MIN_TICK_SPACING_MS = TICK_INTERVAL_MS - 1000; // Heartbeats from several frames/tabs collapse into one tick
+const MAX_TICK_GAP_MS = TICK_INTERVAL_MS * 3; // Longer gaps (tab in background, worker asleep) aren't time spent looking
+const IDLE_DETECTION_SEC = 180; // No input for this long counts as away (long enough to read a post; playing media is exempt)
+const SNOOZE_KEY = "focusNudgeSnoozeUntil";
+const PAUSE_ALARM = "focusNudgePauseEnd"; // Ends the global pause (see src/shared/pause.js)
+const ESCALATION_KEY = "focusNudgeEscalation"; // { step, pending } - consecutive ignored nudges; pending = a ladder nudge is on screen
+const BLOCK_KEY = "focusNudgeBlock"; // { siteId, untilMs, message } - active hard block
+const LEAVE_URL = "chrome://newtab/";
+const BADGE_COLORS = {
+  good: "#4CAF50",
+  building: "#f39c12", // Drift building on a DRIFT page
+  over: "#d32f2f", // Past the threshold, or the daily budget is used up
+  neutral: "#9e9e9e"
+};
+const MAX_INTENTION_LENGTH = 140;
 
 /**
- * Check if user behavior is passive (scrolling a lot, little typing)
- * @param {Object} behavior - Behavior metrics
- * @returns {boolean} True if behavior is passive
+ * Create initial drift state for a site (drift engine state plus what was last shown)
+ * @returns {{driftMs: number, lastNudgeMs: number, lastIntervention: string|null, lastTabId: number|null}}
  */
-function isPassiveBehavior(behavior) {
-  return behavior.scrollPerMin >= PASSIVE_SCROLL_THRESHOLD && 
-         behavior.keyPerMin <= PASSIVE_KEY_THRESHOLD;
+function createSiteState() {
+  return {
+    ...createDriftState(),
+    lastIntervention: null,
+    lastTabId: null
+  };
 }
 
 /**
- * Update drift time based on mode and behavior
+ * Run the drift engine for a site and record the outcome on the site and tab
+ * The site total drives nudges; the tab keeps its own share and the weight actually used for diagnostics
+ * @param {string} siteId
  * @param {Object} state - Tab state
- * @param {string} mode - Current page mode
- * @param {Object} behavior - User behavior metrics
- * @param {number} delta - Time delta in milliseconds
+ * @param {Object} observation - See FocusNudgeDrift.step
+ * @param {Object} settings - Effective settings
+ * @returns {{decision: string, addedMs: number}}
  */
-function updateDriftTime(state, mode, behavior, delta) {
-  const isPassive = isPassiveBehavior(behavior);
-  
-  if (mode === "DRIFT" && isPassive) {
-    // Accumulate drift time when in DRIFT mode AND passive
-    state.driftMs += delta;
-  } else {
-    // Decay drift when user becomes active or changes mode
-    state.driftMs = Math.max(0, state.driftMs - delta * DRIFT_DECAY_RATE);
+function advanceDrift(siteId, state, observation, settings) {
+  const site = getSiteState(siteId);
+  const result = stepDrift(site, observation, settings);
+
+  state.driftMs = Math.max(0, state.driftMs + result.state.driftMs - site.driftMs);
+  Object.assign(site, result.state);
+
+  state.lastWeight = result.weight;
+  state.lastPassive = result.passive;
+  state.lastAccumulating = result.accumulating;
+  return { decision: result.decision, addedMs: result.addedMs };
+}
+
+/**
+ * Get (creating if needed) the shared drift state for a site
+ * @param {string} siteId
+ * @returns {Object} Site state
+ */
+function getSiteState(siteId) {
+  if (!siteState.has(siteId)) {
+    siteState.set(siteId, createSiteState());
+  }
+  return siteState.get(siteId);
+}
+
+/**
+ * Create initial state for a tab
+ * @returns {Object} Tab state
+ */
+function createTabState() {
+  return {
+    driftMs: 0,
+    lastNudgeMs: 0,
+    lastUrl: "",
+    lastSite: null,
+    lastMode: "UNKNOWN",
+    lastSubMode: "other",
+    lastConfidence: 0,
+    lastWeight: 0,
+    lastPassive: false,
+    lastAccumulating: false,
+    lastDecision: null,
+    lastIntervention: null,
+    lastBehavior: EMPTY_BEHAVIOR,
+    lastTickMs: nowMs(),
+    // Whether the user was looking at the page at the last check, and why not
+    present: true,
+    awayReason: null,
+    // "I'm here on purpose" suppression for the current visit to the site
+    intentionalSession: false,
+    intentionalUrls: [],
+    // "This tab only" pause (see startPause), kept until the visit ends or the tab closes
+    paused: null,
+    // Current visit to a site and what the user said they came for
+    session: null
+  };
+}
+
+/**
+ * Start a visit to a site
+ * @param {string} siteId
+ * @returns {{siteId: string, startedMs: number, intention: string|null, asked: boolean, nudges: number, lastNudgeMs: number}}
+ */
+function createSession(siteId) {
+  return {
+    siteId,
+    startedMs: nowMs(),
+    intention: null,
+    asked: false,
+    nudges: 0,
+    lastNudgeMs: 0
+  };
+}
+
+/**
+ * End the tab's current visit and record how a stated intention turned out
+ * Nudged and left within the early exit window -> early_exit, nudged and stayed -> drift, never nudged -> clean
+ * @param {Object} state - Tab state
+ */
+async function endSession(state) {
+  const session = state.session;
+  state.session = null;
+  if (!session?.intention) return;
+
+  const endedMs = nowMs();
+  let outcome = "clean";
+  if (session.nudges > 0) {
+    outcome = endedMs - session.lastNudgeMs <= EARLY_EXIT_WINDOW_MS ? "early_exit" : "drift";
+  }
+
+  await recordIntentionOutcome({
+    intention: session.intention,
+    site: session.siteId,
+    outcome,
+    ended_ms: endedMs
+  });
+}
+
+/**
+ * Normalize a URL for per-page intent marks (query and hash ignored)
+ * @param {string} url
+ * @returns {string}
+ */
+function pageKey(url) {
+  try {
+    const parsed = new URL(url);
+    return parsed.origin + parsed.pathname;
+  } catch {
+    return url || "";
+  }
+}
+
+/**
+ * Check whether the user marked this visit or page as intentional
+ * @param {Object} state - Tab state
+ * @param {string} url - Current page URL
+ * @returns {boolean}
+ */
+function isIntentional(state, url) {
+  return state.intentionalSession || state.intentionalUrls.includes(pageKey(url));
+}
+
+/**
+ * A visit ends when the tab moves to a different site; drop its intent marks and tab pause, and start a new session
+ * @param {Object} state - Tab state
+ * @param {string|null} siteId - Site the tab is on now
+ */
+async function changeVisit(state, siteId) {
+  if (state.session?.siteId === siteId) return;
+
+  if (state.lastSite && siteId !== state.lastSite) {
+    state.intentionalSession = false;
+    state.intentionalUrls = [];
   }
+
+  // A tab pause covers the visit it was started in
+  if (state.session) state.paused = null;
+
+  const ended = state.session ? endSession(state) : null;
+  state.session = siteId ? createSession(siteId) : null;
+  await ended;
+}
+
+/**
+ * Time since the tab's last tick, capped so a long gap doesn't count as drift
+ * @param {Object} state - Tab state
+ * @param {number} untilMs
+ * @returns {number}
+ */
+function elapsedSinceTick(state, untilMs) {
+  return Math.max(0, Math.min(untilMs - state.lastTickMs, MAX_TICK_GAP_MS));
+}
+
+/**
+ * Check whether the user is actually looking at the active tab
+ * Away when the system is idle or locked, the browser window is minimized or behind another app,
+ * or the content script reports the page hidden. Watching or listening needs no input,
+ * so an idle system doesn't count as away while the tab plays sound or unmuted media
+ * @param {Object} tab - Active tab
+ * @param {Object} resp - FOCUS_NUDGE_GET_STATE response
+ * @returns {Promise<{present: boolean, reason: string|null}>}
+ */
+async function getPresence(tab, resp) {
+  const idleState = await chrome.idle.queryState(IDLE_DETECTION_SEC);
+  if (idleState === "locked") {
+    return { present: false, reason: "locked" };
+  }
+  if (idleState === "idle" && !tab.audible && resp?.playingMedia !== true) {
+    return { present: false, reason: "idle" };
+  }
+
+  try {
+    const win = await chrome.windows.get(tab.windowId);
+    if (win.state === "minimized") return { present: false, reason: "minimized" };
+    if (!win.focused) return { present: false, reason: "unfocused" };
+  } catch {
+    // Window gone - the tab will be removed shortly
+    return { present: false, reason: "unfocused" };
+  }
+
+  if (resp?.visible === false) {
+    return { present: false, reason: "hidden" };
+  }
+  return { present: true, reason: null };
+}
+
+/**
+ * Effective settings with the schedule covering a moment applied (schedules are Pro)
+ * @param {Date} [date]
+ * @returns {Promise<{settings: Object, schedule: Object|null}>}
+ */
+async function getScheduledSettings(date = new Date()) {
+  const plan = await getPlan();
+  const [settings, schedules] = await Promise.all([getEffectiveSettings(plan), getSchedules()]);
+  const schedule = plan.isPro ? getActiveSchedule(schedules, date) : null;
+  return { settings: applySchedule(settings, schedule), schedule };
+}
+
+/**
+ * Apply a schedule that counts every page of the site as DRIFT (e.g. LinkedIn at weekends)
+ * @param {Object} observation
+ * @param {Object|null} schedule
+ * @param {string|null} siteId
+ * @returns {Object}
+ */
+function scheduleObservation(observation, schedule, siteId) {
+  return forcesDrift(schedule, siteId) ? { ...observation, mode: "DRIFT", confidence: 1 } : observation;
+}
+
+/**
+ * Wall-clock time an observation spent on a DRIFT page, for the daily budget
+ * (unlike drift, it isn't weighted by confidence or sub-mode and counts active scrolling too)
+ * @param {Object} observation - Observation the user was present for
+ * @returns {number} Milliseconds
+ */
+function driftPageMs(observation) {
+  return observation.mode === "DRIFT" && !observation.intentional ? observation.deltaMs : 0;
+}
+
+/**
+ * Switch a tab's mode at the moment of an SPA navigation
+ * Time since the last tick is accounted to the previous mode, the rest goes to the new one
+ * @param {Object} tab - Sender tab
+ * @param {Object} msg - MODE_CHANGED message ({mode, url, ts_ms})
+ */
+async function handleModeChanged(tab, msg) {
+  if (!tab?.id) return;
+
+  // Nothing is tracked while the extension is switched off (same as tick)
+  const stored = await chrome.storage.local.get({ focusNudgeEnabled: true });
+  if (!stored.focusNudgeEnabled) return;
+
+  const state = tabState.get(tab.id) || createTabState();
+  const switchMs = Math.min(nowMs(), Math.max(state.lastTickMs, msg.ts_ms || nowMs()));
+
+  // Only the active tab accrues drift, and only while the user was looking (same as tick)
+  // The nudge decision waits for the next tick
+  const previousSiteId = state.lastSite;
+  let previous = {
+    nowMs: switchMs,
+    deltaMs: elapsedSinceTick(state, switchMs),
+    mode: state.lastMode,
+    subMode: state.lastSubMode,
+    confidence: state.lastConfidence,
+    behavior: state.lastBehavior,
+    intentional: isIntentional(state, state.lastUrl)
+  };
+  const accrues = tab.active && state.present && previousSiteId;
+  const awayMs = tab.active && !state.present ? previous.deltaMs : 0;
+
+  state.lastTickMs = switchMs;
+  const siteId = msg.mode?.site || getSiteForUrl(msg.url)?.id || null;
+  const visitChanged = changeVisit(state, siteId);
+  state.lastSite = siteId;
+  state.lastMode = msg.mode?.mode || "UNKNOWN";
+  state.lastSubMode = msg.mode?.subMode || "other";
+  state.lastConfidence = msg.mode?.confidence ?? 0;
+  state.lastUrl = msg.url || tab.url;
+  tabState.set(tab.id, state);
+
+  // Account the time before the switch to the previous page, then record where the drift happened
+  let addedMs = 0;
+  if (accrues) {
+    const { settings, schedule } = await getScheduledSettings(new Date(switchMs));
+    previous = scheduleObservation(previous, schedule, previousSiteId);
+    ({ addedMs } = advanceDrift(previousSiteId, state, previous, settings));
+    await recordDriftPageTime(driftPageMs(previous));
+    await recordObservation({ source: "mode_changed", tabId: tab.id, site: previousSiteId, ...previous });
+  }
+  await visitChanged;
+  await recordSubModeDrift(previous.subMode, addedMs);
+  await recordAwayTime(awayMs);
+}
+
+/**
+ * How nudges should look, from effective settings (sent along with every overlay)
+ * @param {Object} settings - Effective settings
+ * @param {string} intervention - Intervention being shown
+ * @returns {{theme: string, position: string, durationMs: number}}
+ */
+function overlayAppearance(settings, intervention) {
+  const durationSec = intervention === "toast" ? settings.toast_duration_sec : settings.overlay_duration_sec;
+  return {
+    theme: settings.overlay_theme,
+    position: settings.overlay_position,
+    durationMs: durationSec * 1000
+  };
+}
+
+/**
+ * Format a timestamp as a local clock time ("04:00")
+ * @param {number} ms
+ * @returns {string}
+ */
+function formatClockTime(ms) {
+  return new Date(ms).toLocaleTimeString([], { hour: "2-digit", minute: "2-digit" });
 }
 
 /**
@@ -155,29 +560,30 @@ function updateDriftTime(state, mode, behavior, delta) {
  */
 async function tick() {
   // Check if extension is enabled
-  const stored = await chrome.storage.local.get({ focusNudgeEnabled: true });
+  const stored = await chrome.storage.local.get({
+    focusNudgeEnabled: true,
+    [SNOOZE_KEY]: 0,
+    [ESCALATION_KEY]: { step: 0 },
+    [BLOCK_KEY]: null
+  });
   if (!stored.focusNudgeEnabled) {
     return;
   }
+  const snoozed = nowMs() < stored[SNOOZE_KEY];
+  const globalPause = await getPause();
 
-  // Get active LinkedIn tab
+  // Get active tab on a tracked site
   const [active] = await chrome.tabs.query({ active: true, lastFocusedWindow: true });
-  if (!active?.id || !active.url?.startsWith("https://www.linkedin.com/")) {
+  if (!active?.id || !isTrackedUrl(active.url)) {
     return;
   }
 
   const tabId = active.id;
 
   // Initialize or get tab state
-  const state = tabState.get(tabId) || {
-    driftMs: 0,
-    lastNudgeMs: 0,
-    lastUrl: "",
-    lastMode: "UNKNOWN",
-    lastTickMs: nowMs()
-  };
+  const state = tabState.get(tabId) || createTabState();
 
-  const delta = nowMs() - state.lastTickMs;
+  const delta = elapsedSinceTick(state, nowMs());
   state.lastTickMs = nowMs();
 
   // Get page state from content script
@@ -196,48 +602,605 @@ async function tick() {
   }
 
   const mode = resp?.mode?.mode || "UNKNOWN";
-  const behavior = resp?.behavior || { scrollPerMin: 0, keyPerMin: 0, clickPerMin: 0 };
+  const subMode = resp?.mode?.subMode || "other";
+  const confidence = resp?.mode?.confidence ?? 0;
+  const behavior = { ...EMPTY_BEHAVIOR, ...resp?.behavior };
+  const url = resp?.url || active.url;
+  const siteId = resp?.mode?.site || getSiteForUrl(active.url)?.id || null;
+
+  await changeVisit(state, siteId);
+  const intentional = isIntentional(state, url);
+  const paused = !!globalPause || !!state.paused;
+  const { settings: effectiveSettings, schedule } = await getScheduledSettings();
+  const budget = await getBudget(effectiveSettings);
+
+  // An active block keeps covering drift pages on its site until it ends
+  const block = stored[BLOCK_KEY];
+  const blocked = !!block && block.siteId === siteId && nowMs() < block.untilMs;
+
+  // Time the user wasn't looking is recorded as away and never touches drift
+  const presence = await getPresence(active, resp);
+  state.present = presence.present;
+  state.awayReason = presence.reason;
+
+  // Drift and cooldown are per site, across all its tabs and windows (see src/shared/drift.js)
+  const observation = scheduleObservation({
+    nowMs: nowMs(),
+    deltaMs: delta,
+    mode,
+    subMode,
+    confidence,
+    behavior,
+    present: presence.present,
+    intentional,
+    snoozed,
+    paused,
+    blocked,
+    budgetExhausted: budget.state === "exhausted"
+  }, schedule, siteId);
+  const { decision, addedMs } = advanceDrift(siteId, state, observation, effectiveSettings);
+  const site = getSiteState(siteId);
+  await recordObservation({ source: "tick", tabId, site: siteId, ...observation });
+
+  // Record why a nudge did or didn't fire (see GET_DIAGNOSTICS)
+  state.lastDecision = decision;
+  state.lastSite = siteId;
+  state.lastMode = mode;
+  state.lastSubMode = subMode;
+  state.lastConfidence = confidence;
+  state.lastUrl = url;
+
+  if (decision === "away") {
+    tabState.set(tabId, state);
+    await recordAwayTime(delta);
+    return;
+  }
+  await recordSubModeDrift(subMode, addedMs);
+  await recordDriftPageTime(driftPageMs(observation));
+
+  // Ask once per visit what the user came to do
+  if (effectiveSettings.intention_prompt && !paused && state.session && !state.session.asked) {
+    try {
+      const asked = await chrome.tabs.sendMessage(tabId, {
+        type: "FOCUS_NUDGE_ASK_INTENTION",
+        siteLabel: getSite(siteId)?.label || siteId,
+        theme: effectiveSettings.overlay_theme
+      });
+      // Not shown while a nudge is on screen - next tick asks again
+      if (asked?.shown) state.session.asked = true;
+    } catch (err) {
+      // Content script not ready - next tick retries
+    }
+  }
 
-  // Update drift time
-  updateDriftTime(state, mode, behavior, delta);
+  if (blocked && observation.mode === "DRIFT" && !intentional) {
+    try {
+      await chrome.tabs.sendMessage(tabId, {
+        type: "FOCUS_NUDGE_SHOW_OVERLAY",
+        message: block.message,
+        intervention: "block",
+        intention: state.session?.intention || null,
+        blockUntilMs: block.untilMs,
+        reapply: true,
+        ...overlayAppearance(effectiveSettings, "block")
+      });
+    } catch (err) {
+      // Content script not ready - next tick retries
+    }
+  }
 
-  // Get effective settings based on plan
-  const effectiveSettings = await getEffectiveSettings();
-  const driftThresholdMs = effectiveSettings.drift_threshold_min * 60_000;
-  const cooldownMs = effectiveSettings.cooldown_min * 60_000;
+  if (decision === "nudge") {
+    // Once the daily budget is used up, nudges switch to the budget's intervention and say so
+    const overBudget = budget.state === "exhausted";
+    const msg = overBudget
+      ? t("budgetExhausted", [effectiveSettings.daily_budget_min, formatClockTime(budget.resetsAtMs)])
+      : await pickMessage(effectiveSettings.tone, {
+        minutes_today: Math.round((await getTodayDriftMs()) / 60000),
+        intention: state.session?.intention || null,
+        time_of_day: getTimeOfDay(new Date()),
+        site: getSite(siteId)?.label || null
+      });
 
-  // Check if we should show a nudge
-  const canNudge = nowMs() - state.lastNudgeMs >= cooldownMs;
-  const shouldNudge = state.driftMs >= driftThresholdMs && canNudge;
+    // Each ignored nudge climbs one step up the ladder (see handleNudgeAction)
+    const ladder = effectiveSettings.escalation_ladder;
+    const step = stored[ESCALATION_KEY].step || 0;
+    const intervention = overBudget ? effectiveSettings.budget_intervention : ladder[Math.min(step, ladder.length - 1)];
+    // An over-budget block lasts until the budget resets
+    let blockUntilMs = 0;
+    if (intervention === "block") {
+      blockUntilMs = overBudget ? budget.resetsAtMs : nowMs() + effectiveSettings.block_min * 60_000;
+    }
 
-  if (shouldNudge) {
-    const msg = pickMessage(effectiveSettings.tone);
     try {
-      await chrome.tabs.sendMessage(tabId, { type: "FOCUS_NUDGE_SHOW_OVERLAY", message: msg });
+      const shown = await chrome.tabs.sendMessage(tabId, {
+        type: "FOCUS_NUDGE_SHOW_OVERLAY",
+        message: msg,
+        intervention,
+        intention: state.session?.intention || null,
+        snoozeMinutes: effectiveSettings.snooze_min,
+        blockUntilMs,
+        ...overlayAppearance(effectiveSettings, intervention)
+      });
+      // A block already on screen keeps the page covered; nothing new was shown
+      if (!shown?.shown) throw new Error("Nudge not shown");
       state.lastNudgeMs = nowMs();
-      // Reset drift to prevent spam if user ignores
-      state.driftMs = driftThresholdMs * DRIFT_RESET_RATIO;
+      state.lastIntervention = intervention;
+      if (state.session) {
+        state.session.nudges += 1;
+        state.session.lastNudgeMs = state.lastNudgeMs;
+      }
+      // Start the cooldown and drop drift below the threshold to prevent spam if the user ignores it
+      Object.assign(site, applyNudge(site, effectiveSettings, state.lastNudgeMs), {
+        lastIntervention: intervention,
+        lastTabId: tabId
+      });
+      state.driftMs = Math.min(state.driftMs, site.driftMs);
+
+      // Over-budget nudges don't use the ladder, so ignoring them doesn't climb it
+      await chrome.storage.local.set({
+        [ESCALATION_KEY]: { step, pending: !overBudget },
+        ...(blockUntilMs ? { [BLOCK_KEY]: { siteId, untilMs: blockUntilMs, message: msg } } : {})
+      });
+    } catch (err) {
+      // Failed to show nudge - content script may have unloaded, or a block is on screen
+      state.lastDecision = "nudge_failed";
+    }
+  }
+
+  // Warn once a day when the budget is nearly used up, on a drift page where a nudge could show
+  const canWarn = decision !== "nudge" && observation.mode === "DRIFT" && !intentional && !snoozed && !paused && !blocked &&
+    effectiveSettings.nudges_enabled;
+  if (canWarn && await isWarningDue(budget)) {
+    try {
+      await chrome.tabs.sendMessage(tabId, {
+        type: "FOCUS_NUDGE_SHOW_OVERLAY",
+        message: t("budgetWarning", [Math.round(budget.ratio * 100), Math.ceil(budget.remainingMs / 60000)]),
+        intervention: "toast",
+        intention: state.session?.intention || null,
+        snoozeMinutes: effectiveSettings.snooze_min,
+        blockUntilMs: 0,
+        ...overlayAppearance(effectiveSettings, "toast")
+      });
+      await markWarned(budget);
     } catch (err) {
-      // Failed to show nudge - content script may have unloaded
+      // Content script not ready - next tick retries
     }
   }
 
   // Update state
-  state.lastMode = mode;
-  state.lastUrl = resp?.url || active.url;
+  state.lastBehavior = behavior;
   tabState.set(tabId, state);
 }
 
-// Run tick function at regular intervals
-setInterval(tick, TICK_INTERVAL_MS);
+/**
+ * Snapshot of drift state for every tracked site and tab
+ * Shows the shared site totals, each tab's share, the confidence and weight actually used,
+ * and why the last tick did or didn't nudge, with the settings of the schedule active now
+ * @returns {Promise<{settings: Object, schedule: Object|null, pause: Object|null, escalationStep: number, sites: Array, tabs: Array}>}
+ */
+async function getDiagnostics() {
+  const { settings, schedule } = await getScheduledSettings();
+  const pause = await getPause();
+  const stored = await chrome.storage.local.get({ [ESCALATION_KEY]: { step: 0 } });
+  const tabs = Array.from(tabState.entries()).map(([tabId, state]) => ({
+    tabId,
+    site: state.lastSite,
+    mode: state.lastMode,
+    subMode: state.lastSubMode,
+    url: state.lastUrl,
+    confidence: state.lastConfidence,
+    weight: state.lastWeight,
+    passive: state.lastPassive,
+    present: state.present,
+    awayReason: state.awayReason,
+    behavior: state.lastBehavior,
+    accumulating: state.lastAccumulating,
+    driftMs: Math.round(state.driftMs),
+    lastNudgeMs: state.lastNudgeMs,
+    lastIntervention: state.lastIntervention,
+    intention: state.session?.intention || null,
+    paused: state.paused || null,
+    decision: state.lastDecision
+  }));
+  const sites = Array.from(siteState.entries()).map(([siteId, site]) => ({
+    site: siteId,
+    driftMs: Math.round(site.driftMs),
+    lastNudgeMs: site.lastNudgeMs,
+    lastIntervention: site.lastIntervention,
+    tabCount: tabs.filter((tab) => tab.site === siteId).length
+  }));
+  return { settings, schedule, pause, escalationStep: stored[ESCALATION_KEY].step || 0, sites, tabs };
+}
+
+/**
+ * What the popup shows about a tab while it is open: how the page is classified,
+ * the site's drift toward the threshold, time left in the cooldown, and today's totals
+ * @param {number} [tabId]
+ * @returns {Promise<{tracked: boolean, settings: Object, today: Object, site?: string, siteLabel?: string, mode?: string, subMode?: string, confidence?: number, decision?: string|null, present?: boolean, driftMs?: number, thresholdMs?: number, cooldownLeftMs?: number}>}
+ */
+async function getLiveState(tabId) {
+  const { settings } = await getScheduledSettings();
+  const today = await getTodayTotals();
+  const state = tabId ? tabState.get(tabId) : null;
+  if (!state?.lastSite) {
+    return { tracked: false, settings, today };
+  }
+
+  const site = getSiteState(state.lastSite);
+  const cooldownEndMs = site.lastNudgeMs ? site.lastNudgeMs + settings.cooldown_min * 60_000 : 0;
+  return {
+    tracked: true,
+    settings,
+    today,
+    site: state.lastSite,
+    siteLabel: getSite(state.lastSite)?.label || state.lastSite,
+    mode: state.lastMode,
+    subMode: state.lastSubMode,
+    confidence: state.lastConfidence,
+    decision: state.lastDecision,
+    present: state.present,
+    driftMs: Math.round(site.driftMs),
+    thresholdMs: settings.drift_threshold_min * 60_000,
+    cooldownLeftMs: Math.max(0, cooldownEndMs - nowMs())
+  };
+}
+
+/**
+ * Mark a page or the whole visit as intentional, clearing drift for the tab and its site
+ * @param {Object} tab
+ * @param {string} scope - "session" for the visit, otherwise just the page
+ * @param {string} [url] - Page to mark (defaults to the tab's URL)
+ */
+function markIntentional(tab, scope, url) {
+  if (!tab?.id) return;
+
+  const state = tabState.get(tab.id) || createTabState();
+  if (scope === "session") {
+    state.intentionalSession = true;
+  } else {
+    const key = pageKey(url || tab.url);
+    if (!state.intentionalUrls.includes(key)) state.intentionalUrls.push(key);
+  }
+  state.driftMs = 0;
+  tabState.set(tab.id, state);
+  const siteId = getSiteForUrl(tab.url)?.id;
+  if (siteId) getSiteState(siteId).driftMs = 0;
+}
+
+/**
+ * Snooze nudges everywhere, from a nudge's Snooze button or the snooze shortcut
+ * @param {number} minutes
+ * @returns {Promise<number>} When the snooze ends
+ */
+async function snooze(minutes) {
+  const untilMs = nowMs() + minutes * 60_000;
+  await chrome.storage.local.set({ [SNOOZE_KEY]: untilMs });
+  await recordNudgeOutcome("snoozed");
+  await resetEscalation();
+  return untilMs;
+}
+
+/**
+ * Handle what the user did with a nudge overlay
+ * @param {Object} msg - NUDGE_LEAVE / NUDGE_SNOOZE / NUDGE_INTENTIONAL / NUDGE_IGNORED message
+ * @param {Object} tab - Tab the overlay was shown in
+ */
+async function handleNudgeAction(msg, tab) {
+  if (msg.type === "NUDGE_LEAVE") {
+    await recordNudgeOutcome("left");
+    await resetEscalation();
+    // Leaving the site triggers early exit detection via tabs.onUpdated
+    if (tab?.id) await chrome.tabs.update(tab.id, { url: LEAVE_URL });
+    return;
+  }
+
+  if (msg.type === "NUDGE_SNOOZE") {
+    const minutes = Math.max(1, Number(msg.minutes) || (await getEffectiveSettings()).snooze_min);
+    await snooze(minutes);
+    return;
+  }
+
+  if (msg.type === "NUDGE_INTENTIONAL") {
+    markIntentional(tab, msg.scope, msg.url);
+    await recordNudgeOutcome("intentional");
+    await resetEscalation();
+    return;
+  }
+
+  if (msg.type === "NUDGE_IGNORED") {
+    await recordNudgeOutcome("ignored");
+    // Only a ladder nudge that was actually shown and then ignored escalates
+    const stored = await chrome.storage.local.get({ [ESCALATION_KEY]: { step: 0 } });
+    const escalation = stored[ESCALATION_KEY];
+    if (escalation.pending) {
+      await chrome.storage.local.set({ [ESCALATION_KEY]: { step: (escalation.step || 0) + 1, pending: false } });
+    }
+  }
+}
+
+/**
+ * Store what the user said they came to do for the sender tab's current visit
+ * @param {Object} tab - Sender tab
+ * @param {string} intention - Free text, empty to skip
+ */
+function handleSessionIntention(tab, intention) {
+  const siteId = getSiteForUrl(tab?.url)?.id;
+  if (!tab?.id || !siteId) return;
+
+  const state = tabState.get(tab.id) || createTabState();
+  if (state.session?.siteId !== siteId) {
+    state.session = createSession(siteId);
+  }
+  state.session.asked = true;
+  state.session.intention = String(intention || "").trim().slice(0, MAX_INTENTION_LENGTH) || null;
+  tabState.set(tab.id, state);
+}
+
+/**
+ * Pause nudging for a while or for one tab; drift is still tracked
+ * Timed pauses end through PAUSE_ALARM, tab pauses when the tab leaves the site (see changeVisit) or closes
+ * @param {string} kind - One of FocusNudgePause.PAUSE_KINDS
+ * @param {string} by - Who paused ("popup" | "shortcut")
+ * @param {number} [tabId] - Tab to pause (kind "tab")
+ * @returns {Promise<Object>} The pause
+ */
+async function startPause(kind, by, tabId) {
+  if (!PAUSE_KINDS.includes(kind)) throw new Error(`Unknown pause: ${kind}`);
+  const settings = await getEffectiveSettings();
+  const pause = createPause(kind, by, nowMs(), settings.day_reset_hour);
+
+  if (kind === "tab") {
+    if (!tabId) throw new Error("No tab to pause");
+    const state = tabState.get(tabId) || createTabState();
+    state.paused = pause;
+    tabState.set(tabId, state);
+  } else {
+    await savePause(pause);
+    await chrome.alarms.create(PAUSE_ALARM, { when: pause.until_ms });
+  }
+  await recordPause(pause);
+  return pause;
+}
+
+/**
+ * Resume nudging: ends the global pause and the tab's own pause
+ * @param {number} [tabId]
+ * @returns {Promise<void>}
+ */
+async function endPause(tabId) {
+  await clearPause();
+  await chrome.alarms.clear(PAUSE_ALARM);
+  const state = tabId && tabState.get(tabId);
+  if (state) state.paused = null;
+}
+
+/**
+ * What the toolbar badge shows for a tab (see settings.badge_mode)
+ * Green on GOOD pages, amber while drift builds, red past the threshold; without a budget, "budget" falls back to drift
+ * @param {Object|null} state - Tab state
+ * @param {Object} settings - Effective settings
+ * @returns {Promise<{text: string, color: string, title: string}|null>} null = no badge
+ */
+async function getBadge(state, settings) {
+  if (settings.badge_mode === "off" || !state?.lastSite) return null;
+
+  const site = getSiteState(state.lastSite);
+  let color = BADGE_COLORS.neutral;
+  if (state.lastMode === "GOOD") {
+    color = BADGE_COLORS.good;
+  } else if (site.driftMs >= settings.drift_threshold_min * 60_000) {
+    color = BADGE_COLORS.over;
+  } else if (state.lastMode === "DRIFT") {
+    color = BADGE_COLORS.building;
+  }
+
+  if (settings.badge_mode === "budget") {
+    const budget = await getBudget(settings);
+    if (budget.enabled) {
+      const minutes = Math.ceil(budget.remainingMs / 60000);
+      return {
+        text: String(minutes),
+        color: budget.state === "exhausted" ? BADGE_COLORS.over : color,
+        title: t("badgeTitleBudget", minutes)
+      };
+    }
+  }
+
+  const minutes = Math.floor(site.driftMs / 60000);
+  return {
+    text: String(minutes),
+    color,
+    title: t("badgeTitleDrift", [minutes, settings.drift_threshold_min, getSite(state.lastSite)?.label || state.lastSite])
+  };
+}
+
+/**
+ * Draw the toolbar badge for the active tab
+ * Badges are set per tab, so other tabs keep theirs until they are activated again
+ * @returns {Promise<void>}
+ */
+async function refreshBadge() {
+  const [active] = await chrome.tabs.query({ active: true, lastFocusedWindow: true });
+  if (!active?.id) return;
+
+  const stored = await chrome.storage.local.get({ focusNudgeEnabled: true });
+  const state = stored.focusNudgeEnabled && isTrackedUrl(active.url) ? tabState.get(active.id) : null;
+  const { settings } = await getScheduledSettings();
+  const badge = await getBadge(state, settings);
+  try {
+    await chrome.action.setBadgeText({ tabId: active.id, text: badge?.text || "" });
+    await chrome.action.setTitle({ tabId: active.id, title: badge?.title || t("extName") });
+    if (badge) await chrome.action.setBadgeBackgroundColor({ tabId: active.id, color: badge.color });
+  } catch (err) {
+    // Tab closed in the meantime
+  }
+}
+
+/**
+ * Show a notice in a tab through the nudge overlay ("info" isn't counted as a nudge)
+ * @param {number} tabId
+ * @param {string} message
+ * @returns {Promise<void>}
+ */
+async function showNotice(tabId, message) {
+  const settings = await getEffectiveSettings();
+  try {
+    await chrome.tabs.sendMessage(tabId, {
+      type: "FOCUS_NUDGE_SHOW_OVERLAY",
+      message,
+      intervention: "info",
+      ...overlayAppearance(settings, "toast")
+    });
+  } catch (err) {
+    // Not a tracked page (no content script) - the badge and popup still reflect the change
+  }
+}
+
+/**
+ * Handle a keyboard shortcut (see "commands" in manifest.json)
+ * @param {string} command
+ * @param {Object} [tab] - Active tab when the shortcut was pressed
+ * @returns {Promise<void>}
+ */
+async function handleCommand(command, tab) {
+  const siteId = getSiteForUrl(tab?.url)?.id || null;
+  const siteLabel = getSite(siteId)?.label || siteId;
+
+  if (command === "toggle-nudging") {
+    const stored = await chrome.storage.local.get({ focusNudgeEnabled: true });
+    const enabled = !stored.focusNudgeEnabled;
+    await chrome.storage.local.set({ focusNudgeEnabled: enabled });
+    if (tab?.id) await showNotice(tab.id, t(enabled ? "shortcutNudgingOn" : "shortcutNudgingOff"));
+    return;
+  }
+
+  if (command === "snooze-15") {
+    const untilMs = await snooze(15);
+    if (tab?.id) await showNotice(tab.id, t("shortcutSnoozed", formatClockTime(untilMs)));
+    return;
+  }
+
+  if (!tab?.id || !siteId) return;
+
+  if (command === "time-here") {
+    const state = tabState.get(tab.id);
+    const startedMs = state?.session?.siteId === siteId ? state.session.startedMs : nowMs();
+    const { settings } = await getScheduledSettings();
+    await showNotice(tab.id, t("shortcutTimeHere", [
+      Math.round((nowMs() - startedMs) / 60000),
+      siteLabel,
+      Math.floor(getSiteState(siteId).driftMs / 60000),
+      settings.drift_threshold_min
+    ]));
+    return;
+  }
+
+  if (command === "mark-intentional") {
+    markIntentional(tab, "session");
+    await showNotice(tab.id, t("shortcutMarkedIntentional", siteLabel));
+  }
+}
+
+/**
+ * Make sure the fallback tick alarm exists (alarms survive worker restarts, not browser restarts)
+ */
+async function scheduleTickAlarm() {
+  if (!(await chrome.alarms.get(TICK_ALARM))) {
+    await chrome.alarms.create(TICK_ALARM, { periodInMinutes: TICK_ALARM_PERIOD_MIN });
+  }
+}
+
+let tickInFlight = null;
+let lastTickStartMs = 0;
+
+/**
+ * Run one tick unless one is running or just ran, then persist state
+ * Triggered by content-script heartbeats and the fallback alarm
+ * @returns {Promise<void>}
+ */
+function runTick() {
+  if (tickInFlight || nowMs() - lastTickStartMs < MIN_TICK_SPACING_MS) {
+    return tickInFlight || Promise.resolve();
+  }
+  lastTickStartMs = nowMs();
+  tickInFlight = serialize(async () => {
+    await i18nReady;
+    try {
+      await tick();
+      await refreshBadge();
+    } finally {
+      await persistState();
+    }
+  }).finally(() => {
+    tickInFlight = null;
+  });
+  return tickInFlight;
+}
+
+chrome.alarms.onAlarm.addListener((alarm) => {
+  if (alarm.name === TICK_ALARM) runTick();
+  // getPause() already treats an expired pause as over; this just tidies storage
+  if (alarm.name === PAUSE_ALARM) {
+    getPause().then((pause) => (pause ? null : clearPause()));
+  }
+});
+
+scheduleTickAlarm();
+
+chrome.commands.onCommand.addListener((command, tab) => serialize(async () => {
+  await i18nReady;
+  await handleCommand(command, tab);
+  await persistState();
+  await refreshBadge();
+}));
+
+// Badges outlive a suspended worker, but redraw from restored state on wake in case settings changed meanwhile
+stateReady.then(refreshBadge);
 
 // Message handlers
 chrome.runtime.onMessage.addListener((msg, sender, sendResponse) => {
   (async () => {
     try {
+      await stateReady;
+
+      if (msg.type === "HEARTBEAT") {
+        await runTick();
+        sendResponse({ ok: true });
+        return;
+      }
+
       if (msg.type === "NUDGE_SHOWN") {
-        await ensureWeekInitialized();
-        await recordNudgeShown(msg.ts_ms || nowMs());
+        await serialize(async () => {
+          await ensureWeekInitialized();
+          await recordNudgeShown(msg.ts_ms || nowMs());
+        });
+        sendResponse({ ok: true });
+        return;
+      }
+
+      if (["NUDGE_LEAVE", "NUDGE_SNOOZE", "NUDGE_INTENTIONAL", "NUDGE_IGNORED"].includes(msg.type)) {
+        await serialize(async () => {
+          await handleNudgeAction(msg, sender.tab);
+          await persistState();
+        });
+        sendResponse({ ok: true });
+        return;
+      }
+
+      if (msg.type === "SESSION_INTENTION") {
+        await serialize(async () => {
+          handleSessionIntention(sender.tab, msg.intention);
+          await persistState();
+        });
+        sendResponse({ ok: true });
+        return;
+      }
+
+      if (msg.type === "MODE_CHANGED") {
+        await serialize(async () => {
+          await handleModeChanged(sender.tab, msg);
+          await persistState();
+        });
         sendResponse({ ok: true });
         return;
       }
@@ -248,6 +1211,16 @@ chrome.runtime.onMessage.addListener((msg, sender, sendResponse) => {
         return;
       }
 
+      if (msg.type === "GET_DIAGNOSTICS") {
+        sendResponse(await getDiagnostics());
+        return;
+      }
+
+      if (msg.type === "GET_LIVE_STATE") {
+        sendResponse(await getLiveState(msg.tabId));
+        return;
+      }
+
       if (msg.type === "GET_WEEKLY_SUMMARY") {
         const summary = await getWeeklySummary();
         sendResponse(summary);
@@ -266,12 +1239,50 @@ chrome.runtime.onMessage.addListener((msg, sender, sendResponse) => {
         return;
       }
 
+      // Content scripts can't read package files; they load a picked language's catalog through here
+      if (msg.type === "GET_LOCALE_MESSAGES") {
+        sendResponse(msg.language in SUPPORTED_LANGUAGES ? await loadCatalog(msg.language) : null);
+        return;
+      }
+
       if (msg.type === "GET_PLAN") {
         const plan = await getPlan();
         sendResponse(plan);
         return;
       }
 
+      if (msg.type === "PAUSE") {
+        const pause = await serialize(async () => {
+          const started = await startPause(msg.kind, msg.by, msg.tabId);
+          await persistState();
+          return started;
+        });
+        sendResponse(pause);
+        return;
+      }
+
+      if (msg.type === "RESUME") {
+        await serialize(async () => {
+          await endPause(msg.tabId);
+          await persistState();
+        });
+        sendResponse({ ok: true });
+        return;
+      }
+
+      if (msg.type === "GET_PAUSE") {
+        sendResponse({
+          pause: await getPause(),
+          tabPause: (msg.tabId && tabState.get(msg.tabId)?.paused) || null
+        });
+        return;
+      }
+
+      if (msg.type === "GET_BUDGET") {
+        sendResponse(await getBudget(await getEffectiveSettings()));
+        return;
+      }
+
     } catch (err) {
       sendResponse({ error: err.message });
     }
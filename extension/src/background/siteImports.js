@@ -0,0 +1,10 @@
+// Site definitions for the service worker
+// Generated by scripts/sync-sites.js from extension/src/shared/sites/ - do not edit by hand
+
+importScripts(
+  '../shared/sites/linkedin.js',
+  '../shared/sites/youtube.js',
+  '../shared/sites/reddit.js',
+  '../shared/sites/x.js',
+  '../shared/sites/hackernews.js'
+);
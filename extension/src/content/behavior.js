@@ -0,0 +1,136 @@
+// Behavior signals: rolling window of how the user is interacting with the page
+// Events land in fixed time buckets; old buckets fall out of the window one at a time,
+// so the signals never drop to zero all at once the way per-minute counters did
+
+(() => {
+  // Constants
+  const BUCKET_MS = 5000;
+  const WINDOW_MS = 60_000; // Signals describe the last minute
+  const BUCKET_COUNT = WINDOW_MS / BUCKET_MS;
+  const MIN_WINDOW_MS = 10_000; // Don't extrapolate per-minute rates from the first few seconds
+  const MAX_SCROLL_GAP_MS = 250; // Scroll events closer than this belong to the same gesture
+  const BURST_GAP_MS = 1500; // Keys further apart than this end a typing burst
+  const BURST_MIN_KEYS = 3; // Keys needed before a run counts as typing
+
+  const startedMs = Date.now();
+
+  // Ring of buckets, indexed by bucket number modulo BUCKET_COUNT
+  const buckets = Array.from({ length: BUCKET_COUNT }, () => createBucket(-1));
+
+  // Last known scroll offset per scrolling element (the document or an inner scroller)
+  const scrollOffsets = new WeakMap();
+  let lastScrollMs = 0;
+
+  // Current run of keystrokes
+  let burstKeys = 0;
+  let lastKeyMs = 0;
+
+  /**
+   * Create an empty bucket
+   * @param {number} index - Absolute bucket number (time / BUCKET_MS)
+   * @returns {{index: number, scrollPx: number, scrollActiveMs: number, keys: number, bursts: number, clicks: number}}
+   */
+  function createBucket(index) {
+    return { index, scrollPx: 0, scrollActiveMs: 0, keys: 0, bursts: 0, clicks: 0 };
+  }
+
+  /**
+   * Get the bucket for a timestamp, recycling the slot if it holds an expired bucket
+   * @param {number} ms
+   * @returns {Object}
+   */
+  function bucketAt(ms) {
+    const index = Math.floor(ms / BUCKET_MS);
+    const slot = index % BUCKET_COUNT;
+    if (buckets[slot].index !== index) {
+      buckets[slot] = createBucket(index);
+    }
+    return buckets[slot];
+  }
+
+  /**
+   * Read the scroll offset of a scroll event target
+   * @param {EventTarget} target
+   * @returns {{key: Object, top: number}|null}
+   */
+  function readScroll(target) {
+    if (target === document || target === document.documentElement || target === document.body) {
+      return { key: document, top: window.scrollY };
+    }
+    if (target instanceof Element) {
+      return { key: target, top: target.scrollTop };
+    }
+    return null;
+  }
+
+  // Capture phase sees scrolls of inner containers too (some sites scroll a div, not the document)
+  document.addEventListener("scroll", (event) => {
+    const position = readScroll(event.target);
+    if (!position) return;
+
+    const now = Date.now();
+    const previous = scrollOffsets.get(position.key);
+    scrollOffsets.set(position.key, position.top);
+    if (previous === undefined) return;
+
+    const bucket = bucketAt(now);
+    bucket.scrollPx += Math.abs(position.top - previous);
+    // Time between events of one gesture counts as time spent scrolling
+    bucket.scrollActiveMs += Math.min(now - lastScrollMs, MAX_SCROLL_GAP_MS);
+    lastScrollMs = now;
+  }, { capture: true, passive: true });
+
+  window.addEventListener("keydown", () => {
+    const now = Date.now();
+    const bucket = bucketAt(now);
+    bucket.keys += 1;
+
+    burstKeys = now - lastKeyMs <= BURST_GAP_MS ? burstKeys + 1 : 1;
+    lastKeyMs = now;
+    if (burstKeys === BURST_MIN_KEYS) {
+      bucket.bursts += 1;
+    }
+  }, { passive: true });
+
+  window.addEventListener("click", () => {
+    bucketAt(Date.now()).clicks += 1;
+  }, { passive: true });
+
+  /**
+   * Summarize the rolling window
+   * Rates are per minute of observed time, so a freshly loaded page isn't read as idle
+   * @returns {{scrollPxPerMin: number, scrollVelocityPxPerSec: number, dwellPerViewportSec: number|null, typingBursts: number, keysPerMin: number, clicksPerMin: number, windowSec: number}}
+   */
+  function getSignals() {
+    const now = Date.now();
+    const oldest = Math.floor(now / BUCKET_MS) - BUCKET_COUNT + 1;
+    const totals = createBucket(-1);
+    buckets.forEach((bucket) => {
+      if (bucket.index < oldest) return;
+      totals.scrollPx += bucket.scrollPx;
+      totals.scrollActiveMs += bucket.scrollActiveMs;
+      totals.keys += bucket.keys;
+      totals.bursts += bucket.bursts;
+      totals.clicks += bucket.clicks;
+    });
+
+    const windowMs = Math.max(MIN_WINDOW_MS, Math.min(WINDOW_MS, now - startedMs));
+    const perMin = 60_000 / windowMs;
+    const viewports = totals.scrollPx / Math.max(1, window.innerHeight);
+
+    return {
+      scrollPxPerMin: Math.round(totals.scrollPx * perMin),
+      scrollVelocityPxPerSec: totals.scrollActiveMs > 0
+        ? Math.round(totals.scrollPx / (totals.scrollActiveMs / 1000))
+        : 0,
+      // Seconds spent per screenful scrolled; null when nothing was scrolled
+      dwellPerViewportSec: viewports > 0 ? Math.round((windowMs / 1000 / viewports) * 10) / 10 : null,
+      typingBursts: totals.bursts,
+      keysPerMin: Math.round(totals.keys * perMin),
+      clicksPerMin: Math.round(totals.clicks * perMin),
+      windowSec: Math.round(windowMs / 1000)
+    };
+  }
+
+  window.FocusNudgeBehavior = { getSignals };
+})();
@@ -1,92 +1,5 @@
 (() => {
-  // Constants
-  const OVERLAY_ID = "focus-nudge-overlay";
-  const OVERLAY_DISPLAY_DURATION_MS = 20000; // 20 seconds
-  const OVERLAY_FADE_OUT_MS = 450;
-  const COUNTER_RESET_INTERVAL_MS = 60_000; // 1 minute
-
-  // Local counters (reset every minute)
-  let scrollCount = 0;
-  let keyCount = 0;
-  let clickCount = 0;
-  let lastResetTs = Date.now();
-
-  /**
-   * Reset counters if a minute has passed
-   */
-  const resetIfNeeded = () => {
-    const now = Date.now();
-    if (now - lastResetTs >= COUNTER_RESET_INTERVAL_MS) {
-      scrollCount = 0;
-      keyCount = 0;
-      clickCount = 0;
-      lastResetTs = now;
-    }
-  };
-
-  window.addEventListener("scroll", () => {
-    resetIfNeeded();
-    scrollCount += 1;
-  }, { passive: true });
-
-  window.addEventListener("keydown", () => {
-    resetIfNeeded();
-    keyCount += 1;
-  }, { passive: true });
-
-  window.addEventListener("click", () => {
-    resetIfNeeded();
-    clickCount += 1;
-  }, { passive: true });
-
-  /**
-   * Show overlay with nudge message
-   * @param {string} message - Message to display
-   */
-  function showOverlay(message) {
-    // Remove existing overlay if present
-    const existing = document.getElementById(OVERLAY_ID);
-    if (existing) existing.remove();
-
-    // Create overlay container
-    const el = document.createElement("div");
-    el.id = OVERLAY_ID;
-    el.style.cssText = `
-      position: fixed;
-      inset: 0;
-      display: grid;
-      place-items: center;
-      z-index: 2147483647;
-      pointer-events: none;
-    `;
-
-    // Create inner message box
-    const inner = document.createElement("div");
-    inner.className = "focus-nudge-inner";
-    inner.textContent = message;
-    inner.style.cssText = `
-      max-width: 720px;
-      margin: 0 16px;
-      padding: 18px 22px;
-      border-radius: 16px;
-      background: rgba(20, 20, 20, 0.88);
-      color: #fff;
-      font-size: 20px;
-      line-height: 1.25;
-      text-align: center;
-      box-shadow: 0 10px 30px rgba(0,0,0,0.35);
-      pointer-events: auto;
-    `;
-
-    el.appendChild(inner);
-    document.body.appendChild(el);
-
-    // Auto-hide after display duration
-    setTimeout(() => {
-      el.classList.add("fade-out");
-      setTimeout(() => el.remove(), OVERLAY_FADE_OUT_MS);
-    }, OVERLAY_DISPLAY_DURATION_MS);
-  }
+  const { t, init: initI18n, LANGUAGE_KEY } = window.FocusNudgeI18n;
 
   /**
    * Get current page mode from rules
@@ -94,28 +7,95 @@
    */
   function getMode() {
     try {
-      if (window.FocusNudgeRules?.classifyLinkedIn) {
-        return window.FocusNudgeRules.classifyLinkedIn();
+      if (window.FocusNudgeRules?.classify) {
+        return window.FocusNudgeRules.classify();
       }
     } catch (error) {
       console.warn('[Focus Nudge] Error getting mode:', error);
     }
     
     // Default fallback
-    return { site: "linkedin", mode: "UNKNOWN", confidence: 0.1 };
+    return { site: null, mode: "UNKNOWN", confidence: 0.1 };
   }
 
   /**
-   * Get current behavior metrics (per minute rates)
-   * @returns {Object} Behavior metrics
+   * Get current behavior signals over the rolling window (see behavior.js)
+   * @returns {Object|null} Behavior signals, or null if unavailable
    */
   function getBehavior() {
-    resetIfNeeded();
-    return {
-      scrollPerMin: scrollCount,
-      keyPerMin: keyCount,
-      clickPerMin: clickCount
-    };
+    try {
+      return window.FocusNudgeBehavior?.getSignals() || null;
+    } catch (error) {
+      console.warn('[Focus Nudge] Error reading behavior:', error);
+      return null;
+    }
+  }
+
+  // ---- SPA navigation ----
+  // Sites like LinkedIn route client-side, so push mode changes instead of waiting for the next poll
+  const LOCATION_CHANGE_EVENT = "focus-nudge:locationchange"; // Dispatched by historyHook.js
+  let lastHref = location.href;
+
+  /**
+   * Notify the service worker if the URL changed since the last navigation
+   */
+  function handleLocationChange() {
+    if (location.href === lastHref) return;
+    lastHref = location.href;
+
+    // The cached feed result belongs to the previous page; re-scan before classifying this one
+    window.FocusNudgeFeedDetector?.invalidate();
+
+    // Blocks only apply to drift pages; navigating to a GOOD area lifts it
+    const mode = getMode();
+    if (mode.mode !== "DRIFT" && window.FocusNudgeOverlay?.isBlocking()) {
+      window.FocusNudgeOverlay.hide();
+    }
+
+    chrome.runtime.sendMessage({
+      type: "MODE_CHANGED",
+      mode,
+      url: location.href,
+      ts_ms: Date.now()
+    }).catch(() => {}); // Ignore errors (e.g. extension reloaded)
+  }
+
+  window.addEventListener(LOCATION_CHANGE_EVENT, handleLocationChange);
+  window.addEventListener("popstate", handleLocationChange);
+
+  // ---- Language ----
+  // A language picked in Options overrides the browser's; its catalog comes from the service worker
+  const loadLocaleMessages = (language) => chrome.runtime.sendMessage({ type: "GET_LOCALE_MESSAGES", language });
+
+  initI18n(loadLocaleMessages);
+  chrome.storage.onChanged.addListener((changes, area) => {
+    if (area === "local" && changes[LANGUAGE_KEY]) {
+      initI18n(loadLocaleMessages);
+    }
+  });
+
+  // ---- Heartbeat ----
+  // Wakes the service worker (Chrome suspends it when idle) so drift keeps being checked while the page is in view
+  const HEARTBEAT_INTERVAL_MS = 5000;
+
+  /**
+   * Ask the service worker to run a drift check
+   */
+  function sendHeartbeat() {
+    if (document.visibilityState !== "visible") return;
+    chrome.runtime.sendMessage({ type: "HEARTBEAT", ts_ms: Date.now() }).catch(() => {}); // Ignore errors
+  }
+
+  setInterval(sendHeartbeat, HEARTBEAT_INTERVAL_MS);
+  document.addEventListener("visibilitychange", sendHeartbeat);
+
+  /**
+   * Check whether the page is playing unmuted video or audio (the user may be watching without any input)
+   * @returns {boolean}
+   */
+  function isPlayingMedia() {
+    return Array.from(document.querySelectorAll("video, audio"))
+      .some((media) => !media.paused && !media.ended && !media.muted);
   }
 
   // ---- Messaging with background ----
@@ -130,23 +110,42 @@
       sendResponse({
         mode: getMode(),
         behavior: getBehavior(),
+        visible: document.visibilityState === "visible",
+        playingMedia: isPlayingMedia(),
         url: location.href
       });
       return true;
     }
 
+    if (msg?.type === "FOCUS_NUDGE_ASK_INTENTION") {
+      const shown = window.FocusNudgeOverlay.askIntention(msg.siteLabel, { theme: msg.theme });
+      sendResponse({ ok: true, shown });
+      return true;
+    }
+
     if (msg?.type === "FOCUS_NUDGE_SHOW_OVERLAY") {
       // Show overlay
       const now = Date.now();
-      showOverlay(msg.message || "Hey. 👀");
+      const shown = window.FocusNudgeOverlay.show(msg.message || t("nudgeFallback"), {
+        intervention: msg.intervention,
+        snoozeMinutes: msg.snoozeMinutes,
+        blockUntilMs: msg.blockUntilMs,
+        intention: msg.intention,
+        theme: msg.theme,
+        position: msg.position,
+        durationMs: msg.durationMs
+      });
       
-      // Record nudge shown
-      chrome.runtime.sendMessage({
-        type: "NUDGE_SHOWN",
-        ts_ms: now
-      }).catch(() => {}); // Ignore errors
+      // Record nudge shown (re-sent blocks and notices aren't new nudges)
+      if (shown && !msg.reapply && msg.intervention !== "info") {
+        chrome.runtime.sendMessage({
+          type: "NUDGE_SHOWN",
+          intervention: msg.intervention,
+          ts_ms: now
+        }).catch(() => {}); // Ignore errors
+      }
       
-      sendResponse({ ok: true });
+      sendResponse({ ok: true, shown });
       return true;
     }
   });
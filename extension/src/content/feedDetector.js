@@ -0,0 +1,102 @@
+// Feed detector: locale-independent, cached detection of feed-like pages
+// Looks at page structure (ARIA feed pattern, repeated feed-item containers) instead of UI text,
+// and only re-scans when a MutationObserver reports changes, so reading the result is free
+
+(() => {
+  // Constants
+  const MIN_FEED_ITEMS = 3; // Repeated items needed before a page counts as a feed
+  const RESCAN_THROTTLE_MS = 1000; // At most one re-scan per second while the DOM churns
+  const ARTICLE_SELECTOR = '[role="article"], article';
+
+  let looksLikeFeed = false;
+  let rescanTimer = null;
+
+  /**
+   * Count how many elements share the most common parent
+   * @param {NodeList} nodes
+   * @returns {number}
+   */
+  function maxSiblingGroup(nodes) {
+    const counts = new Map();
+    let max = 0;
+    nodes.forEach((node) => {
+      const parent = node.parentElement;
+      if (!parent) return;
+      const count = (counts.get(parent) || 0) + 1;
+      counts.set(parent, count);
+      max = Math.max(max, count);
+    });
+    return max;
+  }
+
+  /**
+   * Scan the DOM for feed structure
+   * @returns {boolean}
+   */
+  function scan() {
+    if (!document.body) return false;
+
+    // ARIA feed pattern: role="feed" containing articles
+    const feeds = document.querySelectorAll('[role="feed"]');
+    for (const feed of feeds) {
+      if (feed.querySelectorAll(ARTICLE_SELECTOR).length >= MIN_FEED_ITEMS) {
+        return true;
+      }
+    }
+
+    // Site-specific feed-item containers (e.g. LinkedIn activity URNs)
+    const site = self.FocusNudgeSites?.getSiteForUrl(location.href);
+    if (site?.feedItemSelector &&
+        document.querySelectorAll(site.feedItemSelector).length >= MIN_FEED_ITEMS) {
+      return true;
+    }
+
+    // Generic fallback: several articles stacked under the same parent
+    return maxSiblingGroup(document.querySelectorAll(ARTICLE_SELECTOR)) >= MIN_FEED_ITEMS;
+  }
+
+  /**
+   * Re-scan now and cache the result
+   */
+  function rescan() {
+    rescanTimer = null;
+    try {
+      looksLikeFeed = scan();
+    } catch (error) {
+      console.warn('[Focus Nudge] Feed detection failed:', error);
+    }
+  }
+
+  /**
+   * Schedule a throttled re-scan
+   */
+  function scheduleRescan() {
+    if (rescanTimer) return;
+    rescanTimer = setTimeout(rescan, RESCAN_THROTTLE_MS);
+  }
+
+  rescan();
+
+  if (document.body) {
+    new MutationObserver(scheduleRescan).observe(document.body, { childList: true, subtree: true });
+  }
+
+  window.FocusNudgeFeedDetector = {
+    /**
+     * Cached feed detection result (no DOM work)
+     * @returns {boolean}
+     */
+    looksLikeFeed() {
+      return looksLikeFeed;
+    },
+
+    /**
+     * Re-scan right away, dropping any pending throttled re-scan (e.g. after SPA navigation, before classifying)
+     * Later DOM changes from the new page still trigger the usual throttled re-scans
+     */
+    invalidate() {
+      clearTimeout(rescanTimer);
+      rescan();
+    }
+  };
+})();
@@ -0,0 +1,158 @@
+// Focus mode: hides the feed on DRIFT pages and asks what the user came for instead
+// Config and schedule live in src/shared/focusMode.js; this script only applies them to the page
+
+(() => {
+  // Constants
+  const PANEL_ID = "focus-nudge-focus-panel";
+  const HIDDEN_ATTR = "data-focus-nudge-hidden";
+  const REAPPLY_INTERVAL_MS = 2000; // Feeds render late and re-render on SPA navigation (only while focus mode is on)
+
+  const {
+    getFocusMode,
+    isFocusModeActive,
+    getFeedPeeks,
+    startFeedPeek,
+    FOCUS_MODE_KEY,
+    FEED_PEEK_KEY,
+    PEEK_MINUTES
+  } = self.FocusNudgeFocusMode;
+
+  const { t } = self.FocusNudgeI18n;
+
+  let config = null;
+  let peeks = {};
+  let extensionEnabled = true; // focusNudgeEnabled: switched off, focus mode hides nothing
+  let reapplyTimer = null;
+
+  /**
+   * Find the element holding the feed
+   * @param {Object} site - Site definition
+   * @returns {Element|null} null when nothing feed-like is on the page (nothing gets hidden)
+   */
+  function findFeedContainer(site) {
+    return (site.feedContainerSelector && document.querySelector(site.feedContainerSelector)) ||
+      document.querySelector('[role="feed"]');
+  }
+
+  /**
+   * Build the "what are you here for?" panel
+   * @param {Object} site - Site definition
+   * @returns {HTMLElement}
+   */
+  function createPanel(site) {
+    const panel = document.createElement("div");
+    panel.id = PANEL_ID;
+
+    const heading = document.createElement("div");
+    heading.className = "focus-nudge-focus-heading";
+    heading.textContent = t("focusPanelHeading", site.label);
+    panel.appendChild(heading);
+
+    const links = document.createElement("div");
+    links.className = "focus-nudge-focus-links";
+    (site.focusLinks || []).forEach(({ label, path }) => {
+      const link = document.createElement("a");
+      link.className = "focus-nudge-focus-link";
+      link.href = path;
+      link.textContent = t(`focusLink${label.replace(/\W/g, "")}`, [], label);
+      links.appendChild(link);
+    });
+    panel.appendChild(links);
+
+    const peek = document.createElement("button");
+    peek.type = "button";
+    peek.className = "focus-nudge-focus-peek";
+    peek.textContent = t("focusPanelPeek", PEEK_MINUTES);
+    peek.addEventListener("click", async () => {
+      peeks = { ...peeks, [site.id]: await startFeedPeek(site.id) };
+      apply();
+    });
+    panel.appendChild(peek);
+
+    return panel;
+  }
+
+  /**
+   * Restore the feed and remove the panel
+   */
+  function restore() {
+    document.getElementById(PANEL_ID)?.remove();
+    document.querySelectorAll(`[${HIDDEN_ATTR}]`).forEach((el) => el.removeAttribute(HIDDEN_ATTR));
+  }
+
+  /**
+   * Hide or restore the feed for the current page
+   */
+  function apply() {
+    if (!config || !document.body) return;
+
+    // Check the switch and schedule before classifying the page
+    if (!extensionEnabled || !isFocusModeActive(config)) {
+      restore();
+      return;
+    }
+
+    const mode = window.FocusNudgeRules?.classify();
+    const site = mode?.site ? self.FocusNudgeSites.getSite(mode.site) : null;
+    const peeking = site && Date.now() < (peeks[site.id] || 0);
+    const container = site && mode.mode === "DRIFT" && !peeking ? findFeedContainer(site) : null;
+
+    if (!container) {
+      restore();
+      return;
+    }
+
+    // Container may have been swapped out by the site; re-hide the current one
+    document.querySelectorAll(`[${HIDDEN_ATTR}]`).forEach((el) => {
+      if (el !== container) el.removeAttribute(HIDDEN_ATTR);
+    });
+    container.setAttribute(HIDDEN_ATTR, "");
+
+    const panel = document.getElementById(PANEL_ID);
+    if (!panel || panel.nextElementSibling !== container) {
+      panel?.remove();
+      container.parentElement?.insertBefore(createPanel(site), container);
+    }
+  }
+
+  /**
+   * Re-apply on a timer only while focus mode is switched on (a schedule window or peek can start or end meanwhile)
+   */
+  function updateReapplyTimer() {
+    const wanted = extensionEnabled && !!config?.enabled;
+    if (wanted && !reapplyTimer) {
+      reapplyTimer = setInterval(apply, REAPPLY_INTERVAL_MS);
+    } else if (!wanted && reapplyTimer) {
+      clearInterval(reapplyTimer);
+      reapplyTimer = null;
+    }
+  }
+
+  /**
+   * Load config, peeks and the extension switch, then apply
+   */
+  async function load() {
+    try {
+      config = await getFocusMode();
+      peeks = await getFeedPeeks();
+      const stored = await chrome.storage.local.get({ focusNudgeEnabled: true });
+      extensionEnabled = stored.focusNudgeEnabled;
+      updateReapplyTimer();
+      apply();
+    } catch (error) {
+      console.warn('[Focus Nudge] Focus mode unavailable:', error);
+    }
+  }
+
+  chrome.storage.onChanged.addListener((changes, area) => {
+    if (area === "local" && (changes[FOCUS_MODE_KEY] || changes[FEED_PEEK_KEY] || changes.focusNudgeEnabled)) {
+      load();
+    }
+  });
+
+  // Re-apply on SPA navigations (historyHook.js); while focus mode is on, also as the page renders / schedules change
+  window.addEventListener("focus-nudge:locationchange", apply);
+  window.addEventListener("popstate", apply);
+
+  load();
+})();
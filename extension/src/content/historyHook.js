@@ -0,0 +1,18 @@
+// History hook: runs in the page's MAIN world so it sees the site's own pushState/replaceState calls
+// Isolated-world content scripts can't observe those, so re-broadcast them as a DOM event
+
+(() => {
+  const EVENT_NAME = "focus-nudge:locationchange";
+
+  if (window.__focusNudgeHistoryHooked) return;
+  window.__focusNudgeHistoryHooked = true;
+
+  for (const method of ["pushState", "replaceState"]) {
+    const original = history[method];
+    history[method] = function(...args) {
+      const result = original.apply(this, args);
+      window.dispatchEvent(new CustomEvent(EVENT_NAME, { detail: { method } }));
+      return result;
+    };
+  }
+})();
@@ -0,0 +1,651 @@
+// Nudge overlay: renders the intervention the service worker picked and reports what the user did
+// Interventions escalate: toast -> overlay -> blur (click to continue) -> block (timed);
+// "info" is a plain notice (e.g. keyboard shortcut feedback) that isn't a nudge and reports no outcome
+// Everything is rendered inside a closed Shadow DOM root so site CSS can't restyle or hide it
+
+(() => {
+  // Constants
+  const OVERLAY_ID = "focus-nudge-overlay";
+  const INTENTION_ID = "focus-nudge-intention";
+  const INTENTION_MAX_LENGTH = 140;
+  const OVERLAY_FADE_OUT_MS = 450;
+  const BLUR_CLASS = "focus-nudge-blurred";
+  const COUNTDOWN_INTERVAL_MS = 1000;
+
+  // Auto-hide per intervention when no duration is sent (0 = stays until the user acts or the block ends)
+  const DEFAULT_DISPLAY_DURATION_MS = {
+    toast: 10000,
+    info: 6000,
+    overlay: 20000,
+    blur: 0,
+    block: 0
+  };
+
+  // Interventions that take over the page: always centered, focus stays inside until they close
+  const MODAL_INTERVENTIONS = ["blur", "block"];
+
+  // Position used for "auto" (and always for modal interventions)
+  const AUTO_POSITION = {
+    toast: "corner",
+    info: "corner",
+    overlay: "center",
+    blur: "center",
+    block: "center"
+  };
+
+  const THEMES = ["auto", "dark", "light", "high_contrast"];
+  const POSITIONS = ["center", "corner", "top_bar"];
+
+  // Actions offered per intervention, in display order
+  const ACTIONS = {
+    toast: ["leave", "snooze", "intentional_url"],
+    info: ["dismiss"],
+    overlay: ["leave", "snooze", "intentional_url", "intentional_session"],
+    blur: ["continue", "leave", "snooze", "intentional_session"],
+    block: ["leave"]
+  };
+
+  const { t } = self.FocusNudgeI18n;
+
+  // Styles live inside the shadow root; only :host rules need !important to beat page CSS
+  const STYLES = `
+    :host {
+      all: initial !important;
+      position: fixed !important;
+      inset: 0 !important;
+      z-index: 2147483647 !important;
+      pointer-events: none !important;
+    }
+
+    .layer {
+      --fn-bg: rgba(20, 20, 20, 0.9);
+      --fn-fg: #fff;
+      --fn-muted: rgba(255, 255, 255, 0.8);
+      --fn-border: rgba(255, 255, 255, 0.35);
+      --fn-hover: rgba(255, 255, 255, 0.12);
+      --fn-accent: #4CAF50;
+      --fn-accent-hover: #45a049;
+      --fn-accent-fg: #fff;
+      --fn-backdrop: rgba(20, 20, 20, 0.97);
+      --fn-focus: #8fd694;
+
+      position: fixed;
+      inset: 0;
+      display: grid;
+      place-items: center;
+      font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, Oxygen, Ubuntu, Cantarell, sans-serif;
+      color: var(--fn-fg);
+      pointer-events: none;
+      animation: fn-fade-in 0.25s ease;
+    }
+
+    .layer[data-theme="light"] {
+      --fn-bg: rgba(255, 255, 255, 0.97);
+      --fn-fg: #1d1d1d;
+      --fn-muted: #555;
+      --fn-border: rgba(0, 0, 0, 0.2);
+      --fn-hover: rgba(0, 0, 0, 0.06);
+      --fn-accent: #2e7d32;
+      --fn-accent-hover: #256628;
+      --fn-backdrop: rgba(245, 245, 245, 0.98);
+      --fn-focus: #2e7d32;
+    }
+
+    .layer[data-theme="high_contrast"] {
+      --fn-bg: #000;
+      --fn-fg: #fff;
+      --fn-muted: #fff;
+      --fn-border: #fff;
+      --fn-hover: #333;
+      --fn-accent: #ffeb3b;
+      --fn-accent-hover: #fff176;
+      --fn-accent-fg: #000;
+      --fn-backdrop: #000;
+      --fn-focus: #ffeb3b;
+    }
+
+    @media (prefers-color-scheme: light) {
+      .layer[data-theme="auto"] {
+        --fn-bg: rgba(255, 255, 255, 0.97);
+        --fn-fg: #1d1d1d;
+        --fn-muted: #555;
+        --fn-border: rgba(0, 0, 0, 0.2);
+        --fn-hover: rgba(0, 0, 0, 0.06);
+        --fn-accent: #2e7d32;
+        --fn-accent-hover: #256628;
+        --fn-backdrop: rgba(245, 245, 245, 0.98);
+        --fn-focus: #2e7d32;
+      }
+    }
+
+    .layer.fade-out {
+      opacity: 0;
+      transition: opacity 0.45s ease;
+    }
+
+    .layer.modal {
+      pointer-events: auto;
+    }
+
+    .layer.block {
+      background: var(--fn-backdrop);
+    }
+
+    .dialog {
+      box-sizing: border-box;
+      max-width: 720px;
+      margin: 0 16px;
+      padding: 18px 22px;
+      border: 1px solid var(--fn-border);
+      border-radius: 16px;
+      background: var(--fn-bg);
+      color: var(--fn-fg);
+      font-size: 20px;
+      line-height: 1.25;
+      text-align: center;
+      box-shadow: 0 10px 30px rgba(0, 0, 0, 0.35);
+      pointer-events: auto;
+    }
+
+    /* Corner: small card in the bottom right */
+    .layer.corner {
+      display: block;
+      inset: auto 20px 20px auto;
+    }
+
+    .layer.corner .dialog {
+      max-width: 360px;
+      margin: 0;
+      padding: 14px 16px;
+      font-size: 15px;
+      text-align: left;
+    }
+
+    /* Top bar: full-width strip, message and actions on one line */
+    .layer.top_bar {
+      display: block;
+      inset: 0 0 auto 0;
+    }
+
+    .layer.top_bar .dialog {
+      display: flex;
+      flex-wrap: wrap;
+      align-items: center;
+      gap: 4px 16px;
+      max-width: none;
+      margin: 0;
+      padding: 10px 16px;
+      border-width: 0 0 1px;
+      border-radius: 0;
+      font-size: 15px;
+      text-align: left;
+    }
+
+    .layer.top_bar .actions {
+      margin: 0 0 0 auto;
+    }
+
+    .reminder,
+    .countdown {
+      margin-top: 10px;
+      font-size: 15px;
+      color: var(--fn-muted);
+    }
+
+    .reminder {
+      font-style: italic;
+    }
+
+    .layer.top_bar .reminder {
+      margin: 0;
+    }
+
+    .actions {
+      display: flex;
+      flex-wrap: wrap;
+      justify-content: center;
+      gap: 8px;
+      margin-top: 14px;
+    }
+
+    .layer.corner .actions,
+    .layer.top_bar .actions {
+      justify-content: flex-start;
+    }
+
+    .action {
+      padding: 7px 14px;
+      border: 1px solid var(--fn-border);
+      border-radius: 999px;
+      background: transparent;
+      color: var(--fn-fg);
+      font: inherit;
+      font-size: 14px;
+      cursor: pointer;
+    }
+
+    .action:hover {
+      background: var(--fn-hover);
+    }
+
+    .action.primary {
+      border-color: var(--fn-accent);
+      background: var(--fn-accent);
+      color: var(--fn-accent-fg);
+    }
+
+    .action.primary:hover {
+      background: var(--fn-accent-hover);
+    }
+
+    .action:focus-visible,
+    input:focus-visible {
+      outline: 3px solid var(--fn-focus);
+      outline-offset: 2px;
+    }
+
+    input {
+      display: block;
+      width: 100%;
+      box-sizing: border-box;
+      margin-top: 8px;
+      padding: 6px 8px;
+      border: 1px solid var(--fn-border);
+      border-radius: 8px;
+      background: var(--fn-hover);
+      color: var(--fn-fg);
+      font: inherit;
+    }
+
+    @keyframes fn-fade-in {
+      from { opacity: 0; }
+      to { opacity: 1; }
+    }
+
+    @media (prefers-reduced-motion: reduce) {
+      .layer,
+      .layer.fade-out {
+        animation: none;
+        transition: none;
+      }
+    }
+  `;
+
+  // The overlay currently on screen
+  let current = null; // { intervention, close }
+
+  /**
+   * Check whether the user asked for less motion
+   * @returns {boolean}
+   */
+  function prefersReducedMotion() {
+    return window.matchMedia?.("(prefers-reduced-motion: reduce)").matches === true;
+  }
+
+  /**
+   * Create a host element with a closed shadow root holding our styles
+   * @param {string} id - Host element id
+   * @returns {{host: HTMLElement, root: ShadowRoot}}
+   */
+  function createShadowHost(id) {
+    document.getElementById(id)?.remove();
+
+    const host = document.createElement("div");
+    host.id = id;
+    const root = host.attachShadow({ mode: "closed" });
+
+    const style = document.createElement("style");
+    style.textContent = STYLES;
+    root.appendChild(style);
+
+    return { host, root };
+  }
+
+  /**
+   * Remove a host, fading it out unless the user prefers reduced motion
+   * @param {HTMLElement} host
+   * @param {HTMLElement} layer - Element carrying the fade-out transition
+   * @param {boolean} [immediate]
+   */
+  function removeHost(host, layer, immediate = false) {
+    if (immediate || prefersReducedMotion()) {
+      host.remove();
+      return;
+    }
+    layer.classList.add("fade-out");
+    setTimeout(() => host.remove(), OVERLAY_FADE_OUT_MS);
+  }
+
+  /**
+   * Send a nudge action back to the service worker
+   * @param {string} type - Message type (NUDGE_LEAVE, NUDGE_SNOOZE, NUDGE_INTENTIONAL, NUDGE_IGNORED, SESSION_INTENTION)
+   * @param {Object} [extra] - Additional message fields
+   */
+  function sendNudgeAction(type, extra = {}) {
+    chrome.runtime.sendMessage({
+      type,
+      url: location.href,
+      ts_ms: Date.now(),
+      ...extra
+    }).catch(() => {}); // Ignore errors
+  }
+
+  /**
+   * Describe an action button
+   * @param {string} action - Action id from ACTIONS
+   * @param {number} snoozeMinutes
+   * @returns {{label: string, type: string|null, extra?: Object, primary?: boolean}}
+   */
+  function describeAction(action, snoozeMinutes) {
+    switch (action) {
+      case "leave":
+        return { label: t("actionLeave"), type: "NUDGE_LEAVE", primary: true };
+      case "snooze":
+        return { label: t("actionSnooze", snoozeMinutes), type: "NUDGE_SNOOZE", extra: { minutes: snoozeMinutes } };
+      case "intentional_url":
+        return { label: t("actionIntentionalPage"), type: "NUDGE_INTENTIONAL", extra: { scope: "url" } };
+      case "intentional_session":
+        return { label: t("actionIntentionalVisit"), type: "NUDGE_INTENTIONAL", extra: { scope: "session" } };
+      case "continue":
+        return { label: t("actionContinue"), type: "NUDGE_IGNORED" };
+      case "dismiss":
+        return { label: t("actionDismiss"), type: null };
+      default:
+        return null;
+    }
+  }
+
+  /**
+   * Create an overlay action button
+   * @param {string} label - Button text
+   * @param {Function} onClick
+   * @param {boolean} [primary] - Emphasize this action
+   * @returns {HTMLButtonElement}
+   */
+  function createActionButton(label, onClick, primary = false) {
+    const button = document.createElement("button");
+    button.type = "button";
+    button.className = `action${primary ? " primary" : ""}`;
+    button.textContent = label;
+    button.addEventListener("click", onClick);
+    return button;
+  }
+
+  /**
+   * Format a remaining duration as m:ss
+   * @param {number} ms
+   * @returns {string}
+   */
+  function formatRemaining(ms) {
+    const totalSec = Math.max(0, Math.ceil(ms / 1000));
+    const min = Math.floor(totalSec / 60);
+    const sec = String(totalSec % 60).padStart(2, "0");
+    return `${min}:${sec}`;
+  }
+
+  /**
+   * Keep Tab / Shift+Tab cycling inside a dialog
+   * @param {KeyboardEvent} event
+   * @param {HTMLElement} dialog
+   * @param {ShadowRoot} root
+   */
+  function trapFocus(event, dialog, root) {
+    const focusable = Array.from(dialog.querySelectorAll("button, input"));
+    if (focusable.length === 0) return;
+
+    const first = focusable[0];
+    const last = focusable[focusable.length - 1];
+    const active = root.activeElement;
+
+    if (event.shiftKey && (active === first || !dialog.contains(active))) {
+      event.preventDefault();
+      last.focus();
+    } else if (!event.shiftKey && (active === last || !dialog.contains(active))) {
+      event.preventDefault();
+      first.focus();
+    }
+  }
+
+  /**
+   * Remove the current overlay immediately, without reporting an outcome
+   */
+  function hide() {
+    if (current) current.close(null, null, true);
+  }
+
+  /**
+   * Show a nudge
+   * If the user doesn't act before it auto-hides, the nudge is reported as ignored
+   * Escape dismisses it the same way (except a block, which only ends on time)
+   * @param {string} message - Message to display
+   * @param {Object} [options]
+   * @param {string} [options.intervention] - "toast" | "overlay" | "blur" | "block" | "info"
+   * @param {number} [options.snoozeMinutes] - Snooze length offered by the snooze action
+   * @param {number} [options.blockUntilMs] - When a block ends
+   * @param {string} [options.intention] - What the user said they came to do
+   * @param {string} [options.theme] - "auto" | "dark" | "light" | "high_contrast"
+   * @param {string} [options.position] - "auto" | "center" | "corner" | "top_bar" (modal interventions are always centered)
+   * @param {number} [options.durationMs] - Auto-hide delay for toast / overlay, 0 to stay until the user acts
+   * @returns {boolean} False if a block is already on screen (nothing new shown)
+   */
+  function show(message, {
+    intervention = "overlay",
+    snoozeMinutes = 15,
+    blockUntilMs = 0,
+    intention = null,
+    theme = "auto",
+    position = "auto",
+    durationMs
+  } = {}) {
+    if (!ACTIONS[intervention]) intervention = "overlay";
+
+    // A running block is re-sent on every tick; keep the existing one (notices don't replace it either)
+    if (current?.intervention === "block" && (intervention === "block" || intervention === "info")) return false;
+    // Notices aren't nudges, so dismissing or ignoring them reports nothing
+    const ignoredType = intervention === "info" ? null : "NUDGE_IGNORED";
+
+    hide();
+    document.getElementById(INTENTION_ID)?.remove();
+
+    const modal = MODAL_INTERVENTIONS.includes(intervention);
+    const placement = !modal && POSITIONS.includes(position) ? position : AUTO_POSITION[intervention];
+    // A centered nudge is a dialog that takes focus; corner and top bar announce politely and leave focus alone
+    const isDialog = modal || placement === "center";
+
+    const { host, root } = createShadowHost(OVERLAY_ID);
+
+    const layer = document.createElement("div");
+    layer.className = `layer ${placement} ${intervention}${modal ? " modal" : ""}`;
+    layer.dataset.theme = THEMES.includes(theme) ? theme : "auto";
+
+    const dialog = document.createElement("div");
+    dialog.className = "dialog";
+    dialog.setAttribute("aria-label", t("extName"));
+    if (isDialog) {
+      dialog.setAttribute("role", "alertdialog");
+      dialog.setAttribute("aria-modal", String(modal));
+    } else {
+      dialog.setAttribute("role", "status");
+      dialog.setAttribute("aria-live", "polite");
+    }
+
+    const text = document.createElement("div");
+    text.className = "message";
+    text.id = "focus-nudge-message";
+    text.textContent = message;
+    dialog.appendChild(text);
+    dialog.setAttribute("aria-describedby", text.id);
+
+    if (intention) {
+      const reminder = document.createElement("div");
+      reminder.className = "reminder";
+      reminder.textContent = t("intentionReminder", intention);
+      dialog.appendChild(reminder);
+    }
+
+    let hideTimer = null;
+    let countdownTimer = null;
+    let settled = false;
+    const previousFocus = document.activeElement;
+
+    const onKeyDown = (event) => {
+      if (event.key === "Escape" && intervention !== "block") {
+        event.preventDefault();
+        event.stopPropagation();
+        close(ignoredType);
+      } else if (event.key === "Tab" && modal) {
+        trapFocus(event, dialog, root);
+      }
+    };
+
+    /**
+     * Hide the overlay once, reporting the outcome
+     * @param {string|null} type - Action message to send, or null for none
+     * @param {Object} [extra] - Additional message fields
+     * @param {boolean} [immediate] - Skip the fade-out
+     */
+    const close = (type, extra, immediate = false) => {
+      if (settled) return;
+      settled = true;
+      clearTimeout(hideTimer);
+      clearInterval(countdownTimer);
+      document.removeEventListener("keydown", onKeyDown, true);
+      document.documentElement.classList.remove(BLUR_CLASS);
+      if (current?.close === close) current = null;
+      if (type) sendNudgeAction(type, extra);
+
+      // Give focus back to the page if we took it
+      if (isDialog && previousFocus?.isConnected && typeof previousFocus.focus === "function") {
+        previousFocus.focus({ preventScroll: true });
+      }
+
+      removeHost(host, layer, immediate);
+    };
+
+    if (intervention === "block") {
+      const countdown = document.createElement("div");
+      countdown.className = "countdown";
+      const updateCountdown = () => {
+        const remaining = blockUntilMs - Date.now();
+        if (remaining <= 0) {
+          close(null);
+          return;
+        }
+        countdown.textContent = t("blockCountdown", formatRemaining(remaining));
+      };
+      updateCountdown();
+      countdownTimer = setInterval(updateCountdown, COUNTDOWN_INTERVAL_MS);
+      dialog.appendChild(countdown);
+    }
+
+    const actions = document.createElement("div");
+    actions.className = "actions";
+    ACTIONS[intervention].forEach((action) => {
+      const spec = describeAction(action, snoozeMinutes);
+      actions.appendChild(createActionButton(spec.label, () => close(spec.type, spec.extra), spec.primary));
+    });
+    dialog.appendChild(actions);
+
+    layer.appendChild(dialog);
+    root.appendChild(layer);
+    document.body.appendChild(host);
+
+    if (intervention === "blur") {
+      document.documentElement.classList.add(BLUR_CLASS);
+    }
+
+    document.addEventListener("keydown", onKeyDown, true);
+    if (isDialog) {
+      (actions.querySelector(".primary") || actions.firstElementChild)?.focus({ preventScroll: true });
+    }
+
+    // Auto-hide after display duration - no action taken
+    const duration = modal
+      ? 0
+      : (typeof durationMs === "number" ? durationMs : DEFAULT_DISPLAY_DURATION_MS[intervention]);
+    if (duration > 0) {
+      hideTimer = setTimeout(() => close(ignoredType), duration);
+    }
+
+    current = { intervention, close };
+    return true;
+  }
+
+  /**
+   * Ask what the user came to do on this visit
+   * Answering or skipping (button or Escape) both report back, so the question is only asked once per visit
+   * The prompt doesn't take focus from the page; it waits in the corner until the user clicks or tabs to it
+   * @param {string} siteLabel - Site name shown in the question
+   * @param {Object} [options]
+   * @param {string} [options.theme] - "auto" | "dark" | "light" | "high_contrast"
+   * @returns {boolean} Whether the prompt is on screen (false while a nudge is showing, so it's asked again later)
+   */
+  function askIntention(siteLabel, { theme = "auto" } = {}) {
+    if (document.getElementById(INTENTION_ID)) return true;
+    if (current || !document.body) return false;
+
+    const { host, root } = createShadowHost(INTENTION_ID);
+
+    const layer = document.createElement("div");
+    layer.className = "layer corner";
+    layer.dataset.theme = THEMES.includes(theme) ? theme : "auto";
+
+    const form = document.createElement("form");
+    form.className = "dialog";
+    form.setAttribute("role", "dialog");
+    form.setAttribute("aria-label", t("intentionDialogLabel"));
+
+    const label = document.createElement("label");
+    label.className = "message";
+    label.textContent = t("intentionQuestion", siteLabel);
+    form.appendChild(label);
+
+    const input = document.createElement("input");
+    input.type = "text";
+    input.maxLength = INTENTION_MAX_LENGTH;
+    input.placeholder = t("intentionPlaceholder");
+    label.appendChild(input);
+
+    let settled = false;
+    const close = (intention) => {
+      if (settled) return;
+      settled = true;
+      sendNudgeAction("SESSION_INTENTION", { intention });
+      removeHost(host, layer);
+    };
+
+    const actions = document.createElement("div");
+    actions.className = "actions";
+    const save = createActionButton(t("actionSave"), () => {}, true);
+    save.type = "submit";
+    actions.appendChild(save);
+    actions.appendChild(createActionButton(t("actionSkip"), () => close("")));
+    form.appendChild(actions);
+
+    form.addEventListener("submit", (event) => {
+      event.preventDefault();
+      close(input.value.trim());
+    });
+    form.addEventListener("keydown", (event) => {
+      if (event.key === "Escape") {
+        event.stopPropagation();
+        close("");
+      }
+    });
+
+    layer.appendChild(form);
+    root.appendChild(layer);
+    document.body.appendChild(host);
+    return true;
+  }
+
+  /**
+   * Check whether a block is on screen
+   * @returns {boolean}
+   */
+  function isBlocking() {
+    return current?.intervention === "block";
+  }
+
+  window.FocusNudgeOverlay = { show, hide, askIntention, isBlocking };
+})();
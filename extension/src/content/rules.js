@@ -1,41 +1,36 @@
-// Simple LinkedIn mode classifier (MVP)
-// GOOD: jobs, messaging, search, articles
-// DRIFT: feed, notifications
+// Page mode classifier
+// Delegates to the site registry (src/shared/sites.js), so each site ships its own rules
+// User rules from the options page are cached here and checked before the built-in defaults
 
-window.FocusNudgeRules = {
-  classifyLinkedIn() {
-    const path = location.pathname || "";
-    const href = location.href || "";
+(() => {
+  const { getUserRules, USER_RULES_KEY } = self.FocusNudgeUserRules;
 
-    // "Good" intent areas
-    const goodPaths = [
-      "/jobs",
-      "/messaging",
-      "/learning",
-      "/pulse",
-      "/search"
-    ];
+  let userRules = [];
 
-    if (goodPaths.some((p) => path.startsWith(p))) {
-      return { site: "linkedin", mode: "GOOD", confidence: 0.9 };
-    }
+  getUserRules()
+    .then((rules) => { userRules = rules; })
+    .catch(() => {}); // Fall back to built-in defaults
 
-    // Drift-prone areas
-    const driftPaths = ["/feed", "/notifications"];
-    if (driftPaths.some((p) => path.startsWith(p))) {
-      return { site: "linkedin", mode: "DRIFT", confidence: 0.9 };
+  // Pick up edits from the options page without a reload
+  chrome.storage.onChanged.addListener((changes, area) => {
+    if (area === "local" && changes[USER_RULES_KEY]) {
+      userRules = changes[USER_RULES_KEY].newValue || [];
     }
+  });
 
-    // Heuristic fallback: feed-like UI
-    // Look for repeated reaction bars ("Like", "Comment", "Repost")
-    const bodyText = document.body?.innerText || "";
-    const looksLikeFeed =
-      bodyText.includes("Repost") && bodyText.includes("Comment") && bodyText.includes("Like");
-
-    if (looksLikeFeed && href.includes("linkedin.com")) {
-      return { site: "linkedin", mode: "DRIFT", confidence: 0.6 };
+  window.FocusNudgeRules = {
+    /**
+     * Classify the current page: user rules first, then the site's classifier
+     * @returns {{site: string|null, mode: string, confidence: number, rule: Object|null}}
+     */
+    classify() {
+      return self.FocusNudgeSites.classifyPage({
+        url: location.href,
+        signals: {
+          looksLikeFeed: window.FocusNudgeFeedDetector?.looksLikeFeed() || false
+        },
+        userRules
+      });
     }
-
-    return { site: "linkedin", mode: "UNKNOWN", confidence: 0.4 };
-  }
-};
+  };
+})();
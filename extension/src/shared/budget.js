@@ -0,0 +1,90 @@
+// Budget module: Daily drift allowance shared by every site and tab, with a warning near the end
+// It counts plain time spent on DRIFT pages (see recordDriftPageTime in the metrics module),
+// not the weighted drift the nudge threshold uses, so 20 minutes means 20 minutes on the clock
+
+// Prevent redeclaration if module is loaded multiple times
+(function() {
+  'use strict';
+
+  if (typeof self !== 'undefined' && self.FocusNudgeBudget) {
+    return; // Already loaded
+  }
+
+  const BUDGET_STATE_KEY = "focusNudgeBudgetState"; // { day_start_ms, warned }
+  const WARNING_RATIO = 0.8;
+
+  /**
+   * Work out how much of the daily budget is left
+   * @param {Object} settings - Effective settings (daily_budget_min, day_reset_hour)
+   * @param {number} usedMs - Time on DRIFT pages today
+   * @param {Date} [now]
+   * @returns {{enabled: boolean, state: string, budgetMs: number, usedMs: number, remainingMs: number, ratio: number, dayStartMs: number, resetsAtMs: number}}
+   *   state is "off" (no budget), "ok", "warning" (WARNING_RATIO used) or "exhausted"
+   */
+  function getBudgetStatus(settings, usedMs, now = new Date()) {
+    const { getCurrentDayStartMs } = self.FocusNudgeMetrics;
+    const dayStartMs = getCurrentDayStartMs(settings.day_reset_hour, now);
+    const resetsAt = new Date(dayStartMs);
+    resetsAt.setDate(resetsAt.getDate() + 1);
+
+    const budgetMs = (settings.daily_budget_min || 0) * 60_000;
+    const ratio = budgetMs ? usedMs / budgetMs : 0;
+    let state = "off";
+    if (budgetMs) {
+      state = ratio >= 1 ? "exhausted" : ratio >= WARNING_RATIO ? "warning" : "ok";
+    }
+
+    return {
+      enabled: budgetMs > 0,
+      state,
+      budgetMs,
+      usedMs,
+      remainingMs: Math.max(0, budgetMs - usedMs),
+      ratio,
+      dayStartMs,
+      resetsAtMs: resetsAt.getTime()
+    };
+  }
+
+  /**
+   * Get today's budget status
+   * @param {Object} settings - Effective settings
+   * @returns {Promise<Object>} See getBudgetStatus
+   */
+  async function getBudget(settings) {
+    const today = await self.FocusNudgeMetrics.getTodayTotals();
+    return getBudgetStatus(settings, today.drift_page_ms);
+  }
+
+  /**
+   * Check whether the near-the-end warning is due (once per day)
+   * @param {Object} status - From getBudgetStatus
+   * @returns {Promise<boolean>}
+   */
+  async function isWarningDue(status) {
+    if (status.state !== "warning") return false;
+    const stored = await chrome.storage.local.get({ [BUDGET_STATE_KEY]: {} });
+    return stored[BUDGET_STATE_KEY]?.day_start_ms !== status.dayStartMs;
+  }
+
+  /**
+   * Remember that today's warning was shown
+   * @param {Object} status - From getBudgetStatus
+   * @returns {Promise<void>}
+   */
+  async function markWarned(status) {
+    await chrome.storage.local.set({ [BUDGET_STATE_KEY]: { day_start_ms: status.dayStartMs, warned: true } });
+  }
+
+  // Export for use in other modules (global for importScripts compatibility)
+  if (typeof self !== 'undefined') {
+    self.FocusNudgeBudget = {
+      getBudget,
+      getBudgetStatus,
+      isWarningDue,
+      markWarned,
+      BUDGET_STATE_KEY,
+      WARNING_RATIO
+    };
+  }
+})();
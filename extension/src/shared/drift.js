@@ -0,0 +1,275 @@
+// Drift module: Pure drift engine - turns what we observed on a page into drift time and a nudge decision
+// No Chrome APIs: step(state, observation, settings) -> { state, decision, ... }, so it can be unit-tested
+// and replayed outside the browser (loads as a script in the extension, or with require() in Node)
+
+// Prevent redeclaration if module is loaded multiple times
+(function() {
+  'use strict';
+
+  if (typeof self !== 'undefined' && self.FocusNudgeDrift) {
+    return; // Already loaded
+  }
+
+  // Tunables; override any of them with settings.drift_params (Pro only in the extension, clamped by FocusNudgePlan)
+  const DEFAULT_PARAMS = {
+    decay_rate: 2, // Linear: decay drift 2x faster than accumulation
+    full_weight_confidence: 0.9, // Known-path confidence; drift builds at full speed from here up
+    reset_ratio: 0.6, // Reset to 60% of the threshold after a nudge to prevent spam
+    passive_max_dwell_sec: 30, // Passive: moving on to a new screenful at least this often...
+    passive_min_scroll_velocity: 300, // ...scrolling at least this fast (px/s; slow scrolling is reading)...
+    passive_max_typing_bursts: 0, // ...and not writing anything
+    ema_horizon_ratio: 2, // EMA: time constant as a multiple of the drift threshold
+    strict_decay_rate: 1 // Strict: decay only on GOOD pages, at real-time speed
+  };
+
+  const EMPTY_BEHAVIOR = {
+    scrollPxPerMin: 0,
+    scrollVelocityPxPerSec: 0,
+    dwellPerViewportSec: null,
+    typingBursts: 0,
+    keysPerMin: 0,
+    clicksPerMin: 0
+  };
+
+  // Why a nudge did or didn't fire, in priority order
+  const DECISIONS = ["away", "nudge", "blocked", "paused", "schedule_off", "intentional", "snoozed", "cooldown", "below_threshold"];
+
+  /**
+   * Create empty drift state
+   * @returns {{driftMs: number, lastNudgeMs: number}}
+   */
+  function createState() {
+    return { driftMs: 0, lastNudgeMs: 0 };
+  }
+
+  /**
+   * Merge settings.drift_params over the defaults
+   * @param {Object} settings
+   * @returns {Object}
+   */
+  function resolveParams(settings) {
+    return { ...DEFAULT_PARAMS, ...(settings?.drift_params || {}) };
+  }
+
+  /**
+   * Check if user behavior is passive: skimming screen after screen quickly, without typing
+   * @param {Object} behavior - Rolling-window behavior signals (src/content/behavior.js)
+   * @param {Object} [params]
+   * @returns {boolean}
+   */
+  function isPassiveBehavior(behavior, params = DEFAULT_PARAMS) {
+    const b = { ...EMPTY_BEHAVIOR, ...behavior };
+    if (b.typingBursts > params.passive_max_typing_bursts) return false;
+    if (b.dwellPerViewportSec === null || b.dwellPerViewportSec > params.passive_max_dwell_sec) return false;
+    return b.scrollVelocityPxPerSec >= params.passive_min_scroll_velocity;
+  }
+
+  /**
+   * Convert classifier confidence into a time weight (0..1)
+   * A known /feed path (0.9) counts in full, the feed heuristic (0.6) builds drift more slowly
+   * @param {number} confidence
+   * @param {Object} [params]
+   * @returns {number}
+   */
+  function confidenceWeight(confidence, params = DEFAULT_PARAMS) {
+    const c = typeof confidence === "number" ? confidence : 0;
+    return Math.max(0, Math.min(1, c / params.full_weight_confidence));
+  }
+
+  /**
+   * How drift-prone the observed sub-mode is
+   * @param {Object} observation
+   * @returns {number}
+   */
+  function subModeWeight(observation) {
+    if (typeof observation.subModeWeight === "number") return observation.subModeWeight;
+    const sites = typeof self !== 'undefined' ? self.FocusNudgeSites : null;
+    return sites ? sites.getSubModeWeight(observation.subMode) : 1;
+  }
+
+  // Strategies: update(driftMs, page, ctx) -> { driftMs, addedMs, weight, accumulating }
+  // page = { mode, confidence, passive, subModeWeight, deltaMs }; ctx = { params, thresholdMs }
+  const STRATEGIES = {
+    linear: {
+      label: "Linear",
+      description: "Builds while you passively scroll drift pages, drains twice as fast when you don't",
+      update(driftMs, page, { params }) {
+        const weight = confidenceWeight(page.confidence, params);
+        if (page.mode === "DRIFT" && page.passive) {
+          // Scaled by how sure we are it's drift and how drift-prone the sub-mode is
+          const driftWeight = weight * page.subModeWeight;
+          const addedMs = page.deltaMs * driftWeight;
+          return { driftMs: driftMs + addedMs, addedMs, weight: driftWeight, accumulating: true };
+        }
+        // Active behavior on a drift page decays in full; otherwise scale by how sure we are it isn't drift
+        const decayWeight = page.mode === "DRIFT" ? 1 : weight;
+        return {
+          driftMs: Math.max(0, driftMs - page.deltaMs * params.decay_rate * decayWeight),
+          addedMs: 0,
+          weight: decayWeight,
+          accumulating: false
+        };
+      }
+    },
+
+    ema: {
+      label: "Smoothed (moving average)",
+      description: "Drift is a moving average of recent time, so a short burst of activity doesn't wipe it out",
+      update(driftMs, page, { params, thresholdMs }) {
+        // Leaky integrator: everything leaks with time constant tau, passive drift time flows in
+        // Steady passive drifting settles at tau, so the threshold is reached after about tau * ln 2
+        const tau = Math.max(1, thresholdMs * params.ema_horizon_ratio);
+        const drifting = page.mode === "DRIFT" && page.passive;
+        const weight = drifting ? confidenceWeight(page.confidence, params) * page.subModeWeight : 0;
+        const addedMs = page.deltaMs * weight;
+        const retained = Math.exp(-page.deltaMs / tau);
+        return { driftMs: driftMs * retained + addedMs, addedMs, weight, accumulating: drifting };
+      }
+    },
+
+    strict: {
+      label: "Strict",
+      description: "Every minute on a drift page counts, whether you scroll or not; only useful pages drain it",
+      update(driftMs, page, { params }) {
+        if (page.mode === "DRIFT") {
+          const addedMs = page.deltaMs * page.subModeWeight;
+          return { driftMs: driftMs + addedMs, addedMs, weight: page.subModeWeight, accumulating: true };
+        }
+        if (page.mode === "GOOD") {
+          return {
+            driftMs: Math.max(0, driftMs - page.deltaMs * params.strict_decay_rate),
+            addedMs: 0,
+            weight: params.strict_decay_rate,
+            accumulating: false
+          };
+        }
+        return { driftMs, addedMs: 0, weight: 0, accumulating: false }; // UNKNOWN holds
+      }
+    }
+  };
+
+  /**
+   * Get a strategy by id (unknown ids fall back to linear)
+   * @param {string} id
+   * @returns {Object}
+   */
+  function getStrategy(id) {
+    return STRATEGIES[id] || STRATEGIES.linear;
+  }
+
+  /**
+   * Decide whether to nudge given the updated drift state
+   * Once the daily budget is used up, any DRIFT page nudges as soon as the cooldown allows, whatever the drift
+   * A page marked intentional never nudges, even when other tabs on the site pushed the shared drift past the threshold
+   * @param {Object} state - Drift state after the update
+   * @param {Object} observation
+   * @param {Object} settings - Effective settings (nudges_enabled: false = a schedule turned nudges off)
+   * @returns {string} One of DECISIONS
+   */
+  function decide(state, observation, settings) {
+    const thresholdMs = settings.drift_threshold_min * 60_000;
+    const cooldownMs = settings.cooldown_min * 60_000;
+    const scheduleOff = settings.nudges_enabled === false;
+    const canNudge = observation.nowMs - state.lastNudgeMs >= cooldownMs &&
+      !observation.intentional && !observation.snoozed && !observation.paused && !observation.blocked && !scheduleOff;
+
+    const overBudget = observation.budgetExhausted && observation.mode === "DRIFT";
+    if ((state.driftMs >= thresholdMs || overBudget) && canNudge) return "nudge";
+    if (observation.blocked) return "blocked";
+    if (observation.paused) return "paused";
+    if (scheduleOff) return "schedule_off";
+    if (observation.intentional) return "intentional";
+    if (observation.snoozed) return "snoozed";
+    return canNudge ? "below_threshold" : "cooldown";
+  }
+
+  /**
+   * Advance drift by one observation
+   * Time the user wasn't looking (present === false) leaves drift untouched;
+   * pages marked intentional count as GOOD with full confidence
+   * @param {{driftMs: number, lastNudgeMs: number}} state - Current drift state (not modified)
+   * @param {Object} observation
+   * @param {number} observation.nowMs - When the observation was made
+   * @param {number} observation.deltaMs - Time since the previous observation
+   * @param {string} observation.mode - "GOOD" | "DRIFT" | "UNKNOWN"
+   * @param {string} [observation.subMode]
+   * @param {number} [observation.subModeWeight] - Overrides the registry's sub-mode weight
+   * @param {number} observation.confidence
+   * @param {Object} [observation.behavior] - Behavior signals
+   * @param {boolean} [observation.present] - User was looking at the page (default true)
+   * @param {boolean} [observation.intentional] - User marked this page or visit as intentional
+   * @param {boolean} [observation.snoozed]
+   * @param {boolean} [observation.blocked]
+   * @param {boolean} [observation.paused] - Nudging is paused (drift is still tracked)
+   * @param {boolean} [observation.budgetExhausted] - The daily drift budget is used up
+   * @param {Object} settings - Effective settings (drift_threshold_min, cooldown_min, drift_strategy, drift_params, nudges_enabled)
+   * @returns {{state: Object, decision: string, addedMs: number, weight: number, passive: boolean, accumulating: boolean}}
+   */
+  function step(state, observation, settings) {
+    const params = resolveParams(settings);
+    const current = { ...createState(), ...state };
+    const passive = isPassiveBehavior(observation.behavior, params);
+
+    if (observation.present === false) {
+      return { state: current, decision: "away", addedMs: 0, weight: 0, passive, accumulating: false };
+    }
+
+    const page = {
+      mode: observation.intentional ? "GOOD" : observation.mode,
+      confidence: observation.intentional ? 1 : observation.confidence,
+      passive,
+      subModeWeight: subModeWeight(observation),
+      deltaMs: Math.max(0, observation.deltaMs || 0)
+    };
+    const thresholdMs = settings.drift_threshold_min * 60_000;
+    const result = getStrategy(settings.drift_strategy).update(current.driftMs, page, { params, thresholdMs });
+
+    const next = { ...current, driftMs: result.driftMs };
+    return {
+      state: next,
+      decision: decide(next, observation, settings),
+      addedMs: result.addedMs,
+      weight: result.weight,
+      passive,
+      accumulating: result.accumulating
+    };
+  }
+
+  /**
+   * Drift state after a nudge was shown: start the cooldown and drop drift below the threshold
+   * @param {Object} state
+   * @param {Object} settings - Effective settings
+   * @param {number} nowMs
+   * @returns {Object} New state
+   */
+  function applyNudge(state, settings, nowMs) {
+    const params = resolveParams(settings);
+    return {
+      ...state,
+      lastNudgeMs: nowMs,
+      driftMs: settings.drift_threshold_min * 60_000 * params.reset_ratio
+    };
+  }
+
+  const api = {
+    step,
+    decide,
+    applyNudge,
+    createState,
+    getStrategy,
+    isPassiveBehavior,
+    confidenceWeight,
+    STRATEGIES,
+    DEFAULT_PARAMS,
+    EMPTY_BEHAVIOR,
+    DECISIONS
+  };
+
+  // Export for use in other modules (global for importScripts compatibility, module.exports for Node)
+  if (typeof self !== 'undefined') {
+    self.FocusNudgeDrift = api;
+  }
+  if (typeof module !== 'undefined' && module.exports) {
+    module.exports = api;
+  }
+})();
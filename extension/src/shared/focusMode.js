@@ -0,0 +1,125 @@
+// Focus mode module: Feed-hiding mode config, schedule evaluation and temporary "show feed" peeks
+
+// Prevent redeclaration if module is loaded multiple times
+(function() {
+  'use strict';
+
+  if (typeof self !== 'undefined' && self.FocusNudgeFocusMode) {
+    return; // Already loaded
+  }
+
+  const FOCUS_MODE_KEY = "focusNudgeFocusMode";
+  const FEED_PEEK_KEY = "focusNudgeFeedPeek"; // siteId -> peek end timestamp
+  const PEEK_MINUTES = 5;
+
+  const DEFAULT_FOCUS_MODE = {
+    enabled: false,
+    scheduled: false, // When true, only active inside the schedule window
+    days: [1, 2, 3, 4, 5], // 0=Sunday ... 6=Saturday
+    start: "09:00",
+    end: "17:00"
+  };
+
+  /**
+   * Get focus mode config
+   * @returns {Promise<{enabled: boolean, scheduled: boolean, days: number[], start: string, end: string}>}
+   */
+  async function getFocusMode() {
+    const stored = await chrome.storage.local.get({ [FOCUS_MODE_KEY]: DEFAULT_FOCUS_MODE });
+    return { ...DEFAULT_FOCUS_MODE, ...stored[FOCUS_MODE_KEY] };
+  }
+
+  /**
+   * Save focus mode config
+   * @param {Object} config
+   * @returns {Promise<void>}
+   */
+  async function saveFocusMode(config) {
+    await chrome.storage.local.set({ [FOCUS_MODE_KEY]: { ...DEFAULT_FOCUS_MODE, ...config } });
+  }
+
+  /**
+   * Parse "HH:MM" into minutes since midnight
+   * @param {string} time
+   * @returns {number}
+   */
+  function toMinutes(time) {
+    const [h, m] = String(time || "0:0").split(":").map((n) => parseInt(n, 10) || 0);
+    return h * 60 + m;
+  }
+
+  /**
+   * Check whether a date falls inside the schedule window
+   * Windows that end before they start run overnight (e.g. 22:00-06:00)
+   * @param {Object} config - Focus mode config
+   * @param {Date} date
+   * @returns {boolean}
+   */
+  function isInSchedule(config, date) {
+    const start = toMinutes(config.start);
+    const end = toMinutes(config.end);
+    const minutes = date.getHours() * 60 + date.getMinutes();
+    const day = date.getDay();
+
+    if (start === end) {
+      return config.days.includes(day); // Whole day
+    }
+    if (start < end) {
+      return config.days.includes(day) && minutes >= start && minutes < end;
+    }
+
+    // Overnight: the late part belongs to today, the early part to yesterday's window
+    const yesterday = (day + 6) % 7;
+    return (config.days.includes(day) && minutes >= start) ||
+           (config.days.includes(yesterday) && minutes < end);
+  }
+
+  /**
+   * Check whether focus mode is active at a given time
+   * @param {Object} config - Focus mode config
+   * @param {Date} [date]
+   * @returns {boolean}
+   */
+  function isFocusModeActive(config, date = new Date()) {
+    if (!config?.enabled) return false;
+    return !config.scheduled || isInSchedule(config, date);
+  }
+
+  /**
+   * Get active feed peeks
+   * @returns {Promise<Object>} siteId -> peek end timestamp
+   */
+  async function getFeedPeeks() {
+    const stored = await chrome.storage.local.get({ [FEED_PEEK_KEY]: {} });
+    return stored[FEED_PEEK_KEY] || {};
+  }
+
+  /**
+   * Show a site's feed for a few minutes despite focus mode
+   * @param {string} siteId
+   * @param {number} [minutes]
+   * @returns {Promise<number>} Peek end timestamp
+   */
+  async function startFeedPeek(siteId, minutes = PEEK_MINUTES) {
+    const peeks = await getFeedPeeks();
+    const untilMs = Date.now() + minutes * 60_000;
+    await chrome.storage.local.set({ [FEED_PEEK_KEY]: { ...peeks, [siteId]: untilMs } });
+    return untilMs;
+  }
+
+  // Export for use in other modules (global for importScripts compatibility)
+  if (typeof self !== 'undefined') {
+    self.FocusNudgeFocusMode = {
+      getFocusMode,
+      saveFocusMode,
+      isInSchedule,
+      isFocusModeActive,
+      getFeedPeeks,
+      startFeedPeek,
+      FOCUS_MODE_KEY,
+      FEED_PEEK_KEY,
+      PEEK_MINUTES,
+      DEFAULT_FOCUS_MODE
+    };
+  }
+})();
@@ -0,0 +1,173 @@
+// I18n module: Localized strings from the _locales message catalogs
+// Follows the browser language through chrome.i18n, unless a language is picked in Options;
+// chrome.i18n can't switch languages at runtime, so a picked language's catalog is loaded and used instead
+
+// Prevent redeclaration if module is loaded multiple times
+(function() {
+  'use strict';
+
+  if (typeof self !== 'undefined' && self.FocusNudgeI18n) {
+    return; // Already loaded
+  }
+
+  const LANGUAGE_KEY = "focusNudgeLanguage"; // "auto" or a SUPPORTED_LANGUAGES code
+  const DEFAULT_LANGUAGE = "en"; // manifest default_locale
+
+  // Languages with a catalog in _locales, named in their own language
+  const SUPPORTED_LANGUAGES = {
+    en: "English",
+    es: "Español"
+  };
+
+  // Catalog of the language picked in Options (null = follow the browser)
+  let override = null; // { language, messages }
+
+  /**
+   * Flatten a messages.json catalog into name -> message, with named placeholders resolved to $1..$9
+   * Message names are case-insensitive, as in chrome.i18n
+   * @param {Object} raw - Parsed messages.json
+   * @returns {Object}
+   */
+  function flattenCatalog(raw) {
+    return Object.fromEntries(Object.entries(raw || {}).map(([name, entry]) => {
+      const placeholders = entry.placeholders || {};
+      const message = String(entry.message || "").replace(/\$([a-zA-Z0-9_@]+)\$/g, (match, placeholder) => {
+        const content = placeholders[placeholder.toLowerCase()]?.content;
+        return content !== undefined ? content : match;
+      });
+      return [name.toLowerCase(), message];
+    }));
+  }
+
+  /**
+   * Fill $1..$9 in a flattened message
+   * @param {string} message
+   * @param {string[]} substitutions
+   * @returns {string}
+   */
+  function format(message, substitutions) {
+    return message.replace(/\$(\$|[1-9])/g, (match, index) => {
+      if (index === "$") return "$";
+      return substitutions[index - 1] ?? "";
+    });
+  }
+
+  /**
+   * Get a localized string
+   * @param {string} name - Message name in _locales/<language>/messages.json
+   * @param {*|Array} [substitutions] - Values for $1..$9
+   * @param {string} [fallback] - Returned when no catalog has the message (defaults to the name)
+   * @returns {string}
+   */
+  function t(name, substitutions = [], fallback) {
+    const subs = [].concat(substitutions).map((value) => String(value));
+    const picked = override?.messages[name.toLowerCase()];
+    if (picked !== undefined) return format(picked, subs);
+
+    const native = typeof chrome !== 'undefined' && chrome.i18n ? chrome.i18n.getMessage(name, subs) : "";
+    if (native) return native;
+    return fallback !== undefined ? fallback : name;
+  }
+
+  /**
+   * Pick the supported language for a BCP 47 tag ("es-419" -> "es")
+   * @param {string} tag
+   * @returns {string}
+   */
+  function matchLanguage(tag) {
+    const base = String(tag || "").toLowerCase().split(/[-_]/)[0];
+    return base in SUPPORTED_LANGUAGES ? base : DEFAULT_LANGUAGE;
+  }
+
+  /**
+   * Get the language strings are shown in
+   * @returns {string} A SUPPORTED_LANGUAGES code
+   */
+  function getLanguage() {
+    if (override) return override.language;
+    const uiLanguage = typeof chrome !== 'undefined' && chrome.i18n ? chrome.i18n.getUILanguage() : DEFAULT_LANGUAGE;
+    return matchLanguage(uiLanguage);
+  }
+
+  /**
+   * Get the language picked in Options
+   * @returns {Promise<string>} "auto" or a SUPPORTED_LANGUAGES code
+   */
+  async function getLanguagePreference() {
+    const stored = await chrome.storage.local.get({ [LANGUAGE_KEY]: "auto" });
+    return stored[LANGUAGE_KEY] in SUPPORTED_LANGUAGES ? stored[LANGUAGE_KEY] : "auto";
+  }
+
+  /**
+   * Pick a language, or "auto" to follow the browser
+   * @param {string} language
+   * @returns {Promise<void>}
+   */
+  async function setLanguagePreference(language) {
+    await chrome.storage.local.set({ [LANGUAGE_KEY]: language in SUPPORTED_LANGUAGES ? language : "auto" });
+  }
+
+  /**
+   * Load a language's catalog from the extension package
+   * Content scripts can't fetch package files, they ask the service worker (GET_LOCALE_MESSAGES) instead
+   * @param {string} language - A SUPPORTED_LANGUAGES code
+   * @returns {Promise<Object>} Flattened catalog
+   */
+  async function loadCatalog(language) {
+    const response = await fetch(chrome.runtime.getURL(`_locales/${language}/messages.json`));
+    return flattenCatalog(await response.json());
+  }
+
+  /**
+   * Apply the language preference
+   * @param {Function} [loader] - (language) => Promise<flattened catalog>
+   * @returns {Promise<string>} Language strings are now shown in
+   */
+  async function init(loader = loadCatalog) {
+    const preference = await getLanguagePreference();
+    try {
+      override = preference === "auto" ? null : { language: preference, messages: await loader(preference) };
+    } catch (error) {
+      console.warn('[Focus Nudge] Language catalog unavailable:', error);
+      override = null;
+    }
+    return getLanguage();
+  }
+
+  /**
+   * Translate elements marked with data-i18n (text), data-i18n-placeholder, data-i18n-title and data-i18n-aria-label
+   * The markup keeps the English text, so untranslated pages still read correctly
+   * @param {ParentNode} [root]
+   */
+  function localizePage(root = document) {
+    root.querySelectorAll('[data-i18n]').forEach((el) => {
+      el.textContent = t(el.dataset.i18n, [], el.textContent);
+    });
+    [['i18nPlaceholder', 'placeholder'], ['i18nTitle', 'title'], ['i18nAriaLabel', 'aria-label']].forEach(([key, attr]) => {
+      root.querySelectorAll(`[data-${key.replace(/[A-Z]/g, (c) => `-${c.toLowerCase()}`)}]`).forEach((el) => {
+        el.setAttribute(attr, t(el.dataset[key], [], el.getAttribute(attr) || ''));
+      });
+    });
+    if (root === document) {
+      document.documentElement.lang = getLanguage();
+    }
+  }
+
+  // Export for use in other modules (global for importScripts compatibility)
+  if (typeof self !== 'undefined') {
+    self.FocusNudgeI18n = {
+      t,
+      init,
+      loadCatalog,
+      flattenCatalog,
+      localizePage,
+      getLanguage,
+      getLanguagePreference,
+      setLanguagePreference,
+      matchLanguage,
+      LANGUAGE_KEY,
+      SUPPORTED_LANGUAGES,
+      DEFAULT_LANGUAGE
+    };
+  }
+})();
@@ -0,0 +1,275 @@
+// Messages module: Nudge message packs per tone, no-repeat rotation and template variables
+// Users can edit the lines for each tone and import/export them as JSON message packs;
+// the built-in lines come from the _locales catalogs (see src/shared/i18n.js)
+
+// Prevent redeclaration if module is loaded multiple times
+(function() {
+  'use strict';
+
+  if (typeof self !== 'undefined' && self.FocusNudgeMessages) {
+    return; // Already loaded
+  }
+
+  const MESSAGE_PACK_KEY = "focusNudgeMessages"; // tone -> lines
+  const ROTATION_KEY = "focusNudgeMessageRotation"; // tone -> { queue, last }
+  const PACK_FORMAT = "focus-nudge-messages";
+  const PACK_VERSION = 1;
+
+  const { TONES } = self.FocusNudgeSettings;
+  const MAX_MESSAGES_PER_TONE = 50;
+  const MAX_MESSAGE_LENGTH = 200;
+
+  // Catalog names of the built-in lines per tone
+  const DEFAULT_MESSAGE_NAMES = {
+    sarcastic: ["nudgeSarcastic1", "nudgeSarcastic2", "nudgeSarcastic3", "nudgeSarcastic4"],
+    motivational: ["nudgeMotivational1", "nudgeMotivational2", "nudgeMotivational3"],
+    gentle: ["nudgeGentle1", "nudgeGentle2"]
+  };
+
+  const { t } = self.FocusNudgeI18n;
+
+  // Variables a message can use as {name}; lines whose variables have no value are skipped
+  // Variables a line can use, e.g. {minutes_today} (described to users in optionsMessagesNote)
+  const TEMPLATE_VARIABLES = ["minutes_today", "intention", "time_of_day", "site"];
+
+  const VARIABLE_PATTERN = /\{(\w+)\}/g;
+
+  /**
+   * Get a tone's built-in lines in the current language
+   * @param {string} tone
+   * @returns {string[]}
+   */
+  function getDefaultMessages(tone) {
+    return (DEFAULT_MESSAGE_NAMES[tone] || DEFAULT_MESSAGE_NAMES.gentle).map((name) => t(name));
+  }
+
+  /**
+   * Clean up one tone's lines: trimmed, non-empty, no duplicates, capped
+   * @param {*} lines
+   * @returns {string[]}
+   */
+  function normalizeLines(lines) {
+    const cleaned = (Array.isArray(lines) ? lines : [])
+      .filter((line) => typeof line === "string")
+      .map((line) => line.trim().slice(0, MAX_MESSAGE_LENGTH))
+      .filter(Boolean);
+    return [...new Set(cleaned)].slice(0, MAX_MESSAGES_PER_TONE);
+  }
+
+  /**
+   * Get the message pack, with the built-in lines for any tone left empty
+   * @returns {Promise<Object>} tone -> lines
+   */
+  async function getMessagePack() {
+    const stored = await chrome.storage.local.get({ [MESSAGE_PACK_KEY]: {} });
+    const custom = stored[MESSAGE_PACK_KEY] || {};
+    return Object.fromEntries(TONES.map((tone) => {
+      const lines = normalizeLines(custom[tone]);
+      return [tone, lines.length ? lines : getDefaultMessages(tone)];
+    }));
+  }
+
+  /**
+   * Save lines for some or all tones (tones not in the pack keep their current lines)
+   * @param {Object} pack - tone -> lines
+   * @returns {Promise<void>}
+   */
+  async function saveMessagePack(pack) {
+    const stored = await chrome.storage.local.get({ [MESSAGE_PACK_KEY]: {} });
+    const next = { ...(stored[MESSAGE_PACK_KEY] || {}) };
+    TONES.forEach((tone) => {
+      if (pack && tone in pack) next[tone] = normalizeLines(pack[tone]);
+    });
+    await chrome.storage.local.set({ [MESSAGE_PACK_KEY]: next });
+  }
+
+  /**
+   * Go back to the built-in lines for every tone
+   * @returns {Promise<void>}
+   */
+  async function resetMessagePack() {
+    await chrome.storage.local.remove([MESSAGE_PACK_KEY, ROTATION_KEY]);
+  }
+
+  /**
+   * Validate one message line
+   * @param {string} line
+   * @returns {string|null} Error message, or null if the line is valid
+   */
+  function validateMessage(line) {
+    if (line.length > MAX_MESSAGE_LENGTH) return t("messageTooLong", MAX_MESSAGE_LENGTH);
+    for (const [, name] of line.matchAll(VARIABLE_PATTERN)) {
+      if (!TEMPLATE_VARIABLES.includes(name)) return t("messageUnknownVariable", `{${name}}`);
+    }
+    return null;
+  }
+
+  /**
+   * Build an exportable message pack file
+   * @param {Object} pack - tone -> lines
+   * @returns {Object}
+   */
+  function buildPackFile(pack) {
+    return {
+      format: PACK_FORMAT,
+      version: PACK_VERSION,
+      tones: Object.fromEntries(TONES.map((tone) => [tone, normalizeLines(pack[tone])]))
+    };
+  }
+
+  /**
+   * Parse an imported message pack file
+   * Accepts the exported format or a bare { tone: lines } object; unknown tones are ignored
+   * @param {string} text - File contents
+   * @returns {{pack: Object|null, error: string|null}}
+   */
+  function parsePackFile(text) {
+    let data;
+    try {
+      data = JSON.parse(text);
+    } catch (err) {
+      return { pack: null, error: t("packInvalidJson", err.message) };
+    }
+
+    const tones = data?.format === PACK_FORMAT ? data.tones : data;
+    if (!tones || typeof tones !== "object" || Array.isArray(tones)) {
+      return { pack: null, error: t("packNotAPack") };
+    }
+
+    const pack = {};
+    for (const tone of TONES) {
+      if (!(tone in tones)) continue;
+      if (!Array.isArray(tones[tone])) return { pack: null, error: t("packToneNotList", tone) };
+      const lines = normalizeLines(tones[tone]);
+      const invalid = lines.map(validateMessage).find(Boolean);
+      if (invalid) return { pack: null, error: `${tone}: ${invalid}` };
+      pack[tone] = lines;
+    }
+
+    if (!Object.keys(pack).length) {
+      return { pack: null, error: t("packNoTones", TONES.join(", ")) };
+    }
+    return { pack, error: null };
+  }
+
+  /**
+   * Describe the time of day for {time_of_day}
+   * @param {Date} date
+   * @returns {string}
+   */
+  function getTimeOfDay(date) {
+    const hour = date.getHours();
+    if (hour >= 5 && hour < 12) return t("timeOfDayMorning");
+    if (hour >= 12 && hour < 17) return t("timeOfDayAfternoon");
+    if (hour >= 17 && hour < 22) return t("timeOfDayEvening");
+    return t("timeOfDayNight");
+  }
+
+  /**
+   * Fill in template variables
+   * @param {string} line
+   * @param {Object} vars - Variable name -> value
+   * @returns {string|null} Rendered line, or null if a variable it uses has no value
+   */
+  function renderMessage(line, vars) {
+    let missing = false;
+    const rendered = line.replace(VARIABLE_PATTERN, (match, name) => {
+      const value = vars[name];
+      if (value === null || value === undefined || value === "") {
+        missing = true;
+        return match;
+      }
+      return String(value);
+    });
+    return missing ? null : rendered;
+  }
+
+  /**
+   * Shuffle lines for a new round, with the last shown line at the back
+   * @param {string[]} lines
+   * @param {string|null} last
+   * @returns {string[]}
+   */
+  function shuffleRound(lines, last) {
+    const queue = [...lines];
+    for (let i = queue.length - 1; i > 0; i--) {
+      const j = Math.floor(Math.random() * (i + 1));
+      [queue[i], queue[j]] = [queue[j], queue[i]];
+    }
+    const lastIndex = queue.indexOf(last);
+    if (lastIndex !== -1) {
+      queue.push(...queue.splice(lastIndex, 1));
+    }
+    return queue;
+  }
+
+  /**
+   * Find the first line in a queue whose variables can all be filled
+   * @param {string[]} queue
+   * @param {Object} vars
+   * @returns {{index: number, message: string}|null}
+   */
+  function findRenderable(queue, vars) {
+    for (let index = 0; index < queue.length; index++) {
+      const message = renderMessage(queue[index], vars);
+      if (message !== null) return { index, message };
+    }
+    return null;
+  }
+
+  /**
+   * Pick the next message for a tone
+   * Lines rotate in shuffled rounds, so none repeats until every line of the tone has been shown
+   * @param {string} tone
+   * @param {Object} [vars] - Template variable values (see TEMPLATE_VARIABLES)
+   * @returns {Promise<string>}
+   */
+  async function pickMessage(tone, vars = {}) {
+    const key = TONES.includes(tone) ? tone : "gentle";
+    const pack = await getMessagePack();
+    const lines = pack[key];
+
+    const stored = await chrome.storage.local.get({ [ROTATION_KEY]: {} });
+    const rotation = stored[ROTATION_KEY] || {};
+    const current = rotation[key] || { queue: [], last: null };
+
+    // Drop lines that were edited away since the round started
+    let queue = (current.queue || []).filter((line) => lines.includes(line));
+    let found = findRenderable(queue, vars);
+    if (!found) {
+      // Round used up, or only lines left whose variables are empty right now
+      queue = shuffleRound(lines, current.last);
+      found = findRenderable(queue, vars);
+    }
+    if (!found) {
+      const fallback = getDefaultMessages(key);
+      return fallback[Math.floor(Math.random() * fallback.length)];
+    }
+
+    const [line] = queue.splice(found.index, 1);
+    await chrome.storage.local.set({
+      [ROTATION_KEY]: { ...rotation, [key]: { queue, last: line } }
+    });
+    return found.message;
+  }
+
+  // Export for use in other modules (global for importScripts compatibility)
+  if (typeof self !== 'undefined') {
+    self.FocusNudgeMessages = {
+      getMessagePack,
+      saveMessagePack,
+      resetMessagePack,
+      validateMessage,
+      buildPackFile,
+      parsePackFile,
+      renderMessage,
+      getTimeOfDay,
+      pickMessage,
+      getDefaultMessages,
+      TONES,
+      DEFAULT_MESSAGE_NAMES,
+      MAX_MESSAGES_PER_TONE,
+      MAX_MESSAGE_LENGTH
+    };
+  }
+})();
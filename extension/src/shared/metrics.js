@@ -1,4 +1,5 @@
-// Metrics module: Weekly counters, early exit detection
+// Metrics module: Weekly counters, early exit detection, nudge outcomes, drift time per sub-mode, away time, session intentions,
+// and today's drift time
 
 // Prevent redeclaration if module is loaded multiple times
 (function() {
@@ -11,6 +12,15 @@
   const EARLY_EXIT_WINDOW_MS = 120000; // 2 minutes
 
   const METRICS_KEY = "focusNudgeMetrics";
+  const DAILY_DRIFT_KEY = "focusNudgeDailyDrift"; // { day_start_ms, drift_ms, drift_page_ms, nudges }; days start at settings.day_reset_hour
+
+  // What the user did with a nudge
+  const NUDGE_OUTCOMES = ["left", "snoozed", "intentional", "ignored"];
+
+  // How a session with a stated intention ended
+  const INTENTION_OUTCOMES = ["early_exit", "drift", "clean"];
+  const MAX_INTENTIONS = 50; // Keep the weekly list bounded
+  const MAX_PAUSES = 100; // Keep the weekly pause log bounded
 
   /**
    * Get Monday 00:00 in local timezone for current week
@@ -28,6 +38,60 @@
     return monday.getTime();
   }
 
+  /**
+   * Get when the current day started in local timezone
+   * Days start at the reset hour, so before 04:00 with a reset hour of 4 it's still yesterday
+   * @param {number} [resetHour] - 0-23
+   * @param {Date} [now]
+   * @returns {number} Timestamp in milliseconds
+   */
+  function getCurrentDayStartMs(resetHour = 0, now = new Date()) {
+    const start = new Date(now);
+    start.setHours(resetHour, 0, 0, 0);
+    if (start > now) {
+      start.setDate(start.getDate() - 1);
+    }
+    return start.getTime();
+  }
+
+  /**
+   * Get the hour the day starts at, from user settings
+   * @returns {Promise<number>} 0-23
+   */
+  async function getDayResetHour() {
+    const stored = await chrome.storage.local.get({ focusNudgeSettings: {} });
+    const hour = stored.focusNudgeSettings?.day_reset_hour;
+    return Number.isInteger(hour) && hour >= 0 && hour < 24 ? hour : 0;
+  }
+
+  /**
+   * Get today's totals across all sites (zeroed once a new day starts)
+   * drift_ms is weighted drift as the threshold engine counts it; drift_page_ms is plain time spent on DRIFT pages
+   * @returns {Promise<{day_start_ms: number, drift_ms: number, drift_page_ms: number, nudges: number}>}
+   */
+  async function getTodayTotals() {
+    const stored = await chrome.storage.local.get({ [DAILY_DRIFT_KEY]: {} });
+    const daily = stored[DAILY_DRIFT_KEY] || {};
+    const dayStartMs = getCurrentDayStartMs(await getDayResetHour());
+    if (daily.day_start_ms !== dayStartMs) {
+      return { day_start_ms: dayStartMs, drift_ms: 0, drift_page_ms: 0, nudges: 0 };
+    }
+    return {
+      day_start_ms: dayStartMs,
+      drift_ms: daily.drift_ms || 0,
+      drift_page_ms: daily.drift_page_ms || 0,
+      nudges: daily.nudges || 0
+    };
+  }
+
+  /**
+   * Get drift time accumulated today, across all sites
+   * @returns {Promise<number>} Milliseconds
+   */
+  async function getTodayDriftMs() {
+    return (await getTodayTotals()).drift_ms;
+  }
+
   /**
    * Ensure week is initialized, reset counters if week changed
    * @returns {Promise<void>}
@@ -44,12 +108,159 @@
           week_start_ms: currentWeekStart,
           nudges_fired_weekly: 0,
           early_exits_weekly: 0,
+          nudge_outcomes_weekly: {},
+          drift_ms_by_submode: {},
+          away_ms_weekly: 0,
+          intentions_weekly: [],
+          pauses_weekly: [],
           last_nudge_shown_ms: null
         }
       });
     }
   }
 
+  /**
+   * Record how a session with a stated intention ended
+   * @param {Object} entry
+   * @param {string} entry.intention - What the user said they came to do
+   * @param {string} entry.site - Site id
+   * @param {string} entry.outcome - One of INTENTION_OUTCOMES
+   * @param {number} entry.ended_ms - When the session ended
+   * @returns {Promise<void>}
+   */
+  async function recordIntentionOutcome(entry) {
+    if (!entry?.intention || !INTENTION_OUTCOMES.includes(entry.outcome)) return;
+
+    await ensureWeekInitialized();
+
+    const stored = await chrome.storage.local.get({ [METRICS_KEY]: {} });
+    const metrics = stored[METRICS_KEY] || {};
+    const intentions = [...(metrics.intentions_weekly || []), entry].slice(-MAX_INTENTIONS);
+
+    await chrome.storage.local.set({
+      [METRICS_KEY]: {
+        ...metrics,
+        intentions_weekly: intentions
+      }
+    });
+  }
+
+  /**
+   * Log a pause of nudging
+   * @param {Object} pause - From FocusNudgePause.createPause ({kind, by, started_ms, until_ms})
+   * @returns {Promise<void>}
+   */
+  async function recordPause(pause) {
+    if (!pause?.kind) return;
+
+    await ensureWeekInitialized();
+
+    const stored = await chrome.storage.local.get({ [METRICS_KEY]: {} });
+    const metrics = stored[METRICS_KEY] || {};
+    const pauses = [...(metrics.pauses_weekly || []), pause].slice(-MAX_PAUSES);
+
+    await chrome.storage.local.set({
+      [METRICS_KEY]: {
+        ...metrics,
+        pauses_weekly: pauses
+      }
+    });
+  }
+
+  /**
+   * Record what the user did with a nudge
+   * @param {string} outcome - One of NUDGE_OUTCOMES
+   * @returns {Promise<void>}
+   */
+  async function recordNudgeOutcome(outcome) {
+    if (!NUDGE_OUTCOMES.includes(outcome)) return;
+
+    await ensureWeekInitialized();
+
+    const stored = await chrome.storage.local.get({ [METRICS_KEY]: {} });
+    const metrics = stored[METRICS_KEY] || {};
+    const outcomes = metrics.nudge_outcomes_weekly || {};
+
+    await chrome.storage.local.set({
+      [METRICS_KEY]: {
+        ...metrics,
+        nudge_outcomes_weekly: {
+          ...outcomes,
+          [outcome]: (outcomes[outcome] || 0) + 1
+        }
+      }
+    });
+  }
+
+  /**
+   * Add drift time to a sub-mode's weekly total and to today's total
+   * @param {string} subMode - Sub-mode the drift happened in (e.g. "feed")
+   * @param {number} ms - Drift milliseconds accumulated
+   * @returns {Promise<void>}
+   */
+  async function recordSubModeDrift(subMode, ms) {
+    if (!subMode || !(ms > 0)) return;
+
+    await ensureWeekInitialized();
+
+    const stored = await chrome.storage.local.get({ [METRICS_KEY]: {} });
+    const metrics = stored[METRICS_KEY] || {};
+    const bySubMode = metrics.drift_ms_by_submode || {};
+    const today = await getTodayTotals();
+
+    await chrome.storage.local.set({
+      [METRICS_KEY]: {
+        ...metrics,
+        drift_ms_by_submode: {
+          ...bySubMode,
+          [subMode]: (bySubMode[subMode] || 0) + ms
+        }
+      },
+      [DAILY_DRIFT_KEY]: {
+        ...today,
+        drift_ms: today.drift_ms + ms
+      }
+    });
+  }
+
+  /**
+   * Add wall-clock time the user spent looking at DRIFT pages today (what the daily budget counts)
+   * @param {number} ms
+   * @returns {Promise<void>}
+   */
+  async function recordDriftPageTime(ms) {
+    if (!(ms > 0)) return;
+
+    const today = await getTodayTotals();
+    await chrome.storage.local.set({
+      [DAILY_DRIFT_KEY]: {
+        ...today,
+        drift_page_ms: today.drift_page_ms + ms
+      }
+    });
+  }
+
+  /**
+   * Add time a tracked page was in front while the user wasn't looking (idle, locked, other app, hidden)
+   * @param {number} ms - Milliseconds away
+   * @returns {Promise<void>}
+   */
+  async function recordAwayTime(ms) {
+    if (!(ms > 0)) return;
+
+    await ensureWeekInitialized();
+
+    const stored = await chrome.storage.local.get({ [METRICS_KEY]: {} });
+    const metrics = stored[METRICS_KEY] || {};
+
+    await chrome.storage.local.set({
+      [METRICS_KEY]: {
+        ...metrics,
+        away_ms_weekly: (metrics.away_ms_weekly || 0) + ms
+      }
+    });
+  }
+
   /**
    * Record that a nudge was shown
    * @param {number} tsMs Timestamp when nudge was shown
@@ -60,12 +271,17 @@
     
     const stored = await chrome.storage.local.get({ [METRICS_KEY]: {} });
     const metrics = stored[METRICS_KEY] || {};
+    const today = await getTodayTotals();
     
     await chrome.storage.local.set({
       [METRICS_KEY]: {
         ...metrics,
         nudges_fired_weekly: (metrics.nudges_fired_weekly || 0) + 1,
         last_nudge_shown_ms: tsMs
+      },
+      [DAILY_DRIFT_KEY]: {
+        ...today,
+        nudges: today.nudges + 1
       }
     });
   }
@@ -104,7 +320,7 @@
 
   /**
    * Get weekly summary
-   * @returns {Promise<{nudges: number, early_exits: number, estimated_minutes: number}>}
+   * @returns {Promise<{nudges: number, early_exits: number, estimated_minutes: number, outcomes: Object, drift_by_submode: Array<{sub_mode: string, minutes: number}>, away_minutes: number, intentions: Array<{intention: string, site: string, outcome: string, ended_ms: number}>, pauses: {total: number, by_kind: Object}}>}
    */
   async function getWeeklySummary() {
     await ensureWeekInitialized();
@@ -115,11 +331,30 @@
     const nudges = metrics.nudges_fired_weekly || 0;
     const earlyExits = metrics.early_exits_weekly || 0;
     const estimatedMinutes = earlyExits * 5; // Rough estimate
+
+    // Where the drift happened, largest first
+    const driftBySubMode = Object.entries(metrics.drift_ms_by_submode || {})
+      .map(([subMode, ms]) => ({ sub_mode: subMode, minutes: Math.round(ms / 60000) }))
+      .filter((entry) => entry.minutes > 0)
+      .sort((a, b) => b.minutes - a.minutes);
     
     return {
       nudges,
       early_exits: earlyExits,
-      estimated_minutes: estimatedMinutes
+      estimated_minutes: estimatedMinutes,
+      outcomes: Object.fromEntries(
+        NUDGE_OUTCOMES.map((outcome) => [outcome, (metrics.nudge_outcomes_weekly || {})[outcome] || 0])
+      ),
+      drift_by_submode: driftBySubMode,
+      away_minutes: Math.round((metrics.away_ms_weekly || 0) / 60000),
+      intentions: metrics.intentions_weekly || [],
+      pauses: {
+        total: (metrics.pauses_weekly || []).length,
+        by_kind: (metrics.pauses_weekly || []).reduce((counts, pause) => {
+          counts[pause.kind] = (counts[pause.kind] || 0) + 1;
+          return counts;
+        }, {})
+      }
     };
   }
 
@@ -134,6 +369,11 @@
         week_start_ms: currentWeekStart,
         nudges_fired_weekly: 0,
         early_exits_weekly: 0,
+        nudge_outcomes_weekly: {},
+        drift_ms_by_submode: {},
+        away_ms_weekly: 0,
+        intentions_weekly: [],
+        pauses_weekly: [],
         last_nudge_shown_ms: null
       }
     });
@@ -143,12 +383,25 @@
   if (typeof self !== 'undefined') {
     self.FocusNudgeMetrics = {
       getCurrentWeekStartMs,
+      getCurrentDayStartMs,
+      getDayResetHour,
+      getTodayDriftMs,
+      getTodayTotals,
+      recordDriftPageTime,
       ensureWeekInitialized,
       recordNudgeShown,
       maybeRecordEarlyExit,
+      recordNudgeOutcome,
+      recordSubModeDrift,
+      recordAwayTime,
+      recordIntentionOutcome,
+      recordPause,
       getWeeklySummary,
       resetWeeklySummary,
-      EARLY_EXIT_WINDOW_MS
+      EARLY_EXIT_WINDOW_MS,
+      DAILY_DRIFT_KEY,
+      NUDGE_OUTCOMES,
+      INTENTION_OUTCOMES
     };
   }
 })();
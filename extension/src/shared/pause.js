@@ -0,0 +1,102 @@
+// Pause module: Timed pauses of nudging that end on their own
+// Global pauses are stored here and ended by an alarm in the service worker; tab pauses live in the worker's tab state and end with the visit
+
+// Prevent redeclaration if module is loaded multiple times
+(function() {
+  'use strict';
+
+  if (typeof self !== 'undefined' && self.FocusNudgePause) {
+    return; // Already loaded
+  }
+
+  const PAUSE_KEY = "focusNudgePause"; // { kind, by, started_ms, until_ms } or null
+  const PAUSE_KINDS = ["15m", "1h", "tomorrow", "tab"]; // "tab" lasts until the tab leaves the site (or closes)
+  const PAUSE_SOURCES = ["popup", "shortcut"]; // Who paused
+
+  /**
+   * Work out when a pause ends
+   * @param {string} kind - One of PAUSE_KINDS
+   * @param {number} nowMs
+   * @param {number} [resetHour] - Local hour a new day starts (settings.day_reset_hour)
+   * @returns {number|null} Timestamp, or null for a tab pause (it ends with the visit instead)
+   */
+  function getPauseEndMs(kind, nowMs, resetHour = 0) {
+    if (kind === "15m") return nowMs + 15 * 60_000;
+    if (kind === "1h") return nowMs + 60 * 60_000;
+    if (kind === "tomorrow") {
+      const { getCurrentDayStartMs } = self.FocusNudgeMetrics;
+      const tomorrow = new Date(getCurrentDayStartMs(resetHour, new Date(nowMs)));
+      tomorrow.setDate(tomorrow.getDate() + 1);
+      return tomorrow.getTime();
+    }
+    return null;
+  }
+
+  /**
+   * Create a pause record
+   * @param {string} kind - One of PAUSE_KINDS
+   * @param {string} by - One of PAUSE_SOURCES
+   * @param {number} nowMs
+   * @param {number} [resetHour]
+   * @returns {{kind: string, by: string, started_ms: number, until_ms: number|null}}
+   */
+  function createPause(kind, by, nowMs, resetHour = 0) {
+    return {
+      kind,
+      by: PAUSE_SOURCES.includes(by) ? by : "popup",
+      started_ms: nowMs,
+      until_ms: getPauseEndMs(kind, nowMs, resetHour)
+    };
+  }
+
+  /**
+   * Check whether a pause is still running
+   * @param {Object|null} pause
+   * @param {number} nowMs
+   * @returns {boolean}
+   */
+  function isPauseActive(pause, nowMs) {
+    return !!pause && (pause.until_ms === null || nowMs < pause.until_ms);
+  }
+
+  /**
+   * Get the global pause, if one is running
+   * @returns {Promise<Object|null>}
+   */
+  async function getPause() {
+    const stored = await chrome.storage.local.get({ [PAUSE_KEY]: null });
+    return isPauseActive(stored[PAUSE_KEY], Date.now()) ? stored[PAUSE_KEY] : null;
+  }
+
+  /**
+   * Save the global pause
+   * @param {Object} pause - From createPause
+   * @returns {Promise<void>}
+   */
+  async function savePause(pause) {
+    await chrome.storage.local.set({ [PAUSE_KEY]: pause });
+  }
+
+  /**
+   * End the global pause
+   * @returns {Promise<void>}
+   */
+  async function clearPause() {
+    await chrome.storage.local.remove(PAUSE_KEY);
+  }
+
+  // Export for use in other modules (global for importScripts compatibility)
+  if (typeof self !== 'undefined') {
+    self.FocusNudgePause = {
+      getPause,
+      savePause,
+      clearPause,
+      createPause,
+      getPauseEndMs,
+      isPauseActive,
+      PAUSE_KEY,
+      PAUSE_KINDS,
+      PAUSE_SOURCES
+    };
+  }
+})();
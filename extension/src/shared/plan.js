@@ -10,12 +10,46 @@
     return; // Already loaded
   }
 
+  // Loaded before this module (see the service worker imports and options.html)
+  const { getSettings, TONES } = self.FocusNudgeSettings;
+
   const BASIC_DEFAULTS = {
     tone: "gentle",
     drift_threshold_min: 15,
-    cooldown_min: 30
+    cooldown_min: 30,
+    escalation_ladder: ["overlay"], // No escalation on Basic
+    block_min: 10,
+    drift_strategy: "linear",
+    budget_intervention: "overlay"
   };
 
+  // Interventions a nudge can escalate through, mildest first
+  const INTERVENTIONS = ["toast", "overlay", "blur", "block"];
+  const MAX_LADDER_STEPS = 4;
+
+  // Drift engine strategies (see src/shared/drift.js)
+  const DRIFT_STRATEGIES = ["linear", "ema", "strict"];
+
+  // Allowed [min, max] for each drift engine tunable a Pro user can override (FocusNudgeDrift.DEFAULT_PARAMS)
+  const DRIFT_PARAM_RANGES = {
+    decay_rate: [0, 10],
+    full_weight_confidence: [0.1, 1],
+    reset_ratio: [0, 1],
+    passive_max_dwell_sec: [1, 600],
+    passive_min_scroll_velocity: [0, 10000],
+    passive_max_typing_bursts: [0, 100],
+    ema_horizon_ratio: [0.1, 20],
+    strict_decay_rate: [0, 10]
+  };
+
+  // Nudge appearance, available on every plan ("auto" follows the system color scheme / intervention)
+  const OVERLAY_THEMES = ["auto", "dark", "light", "high_contrast"];
+  const OVERLAY_POSITIONS = ["auto", "center", "corner", "top_bar"];
+  const MAX_DISPLAY_DURATION_SEC = 300; // 0 = stay until the user acts
+
+  // What the toolbar badge shows, available on every plan: the site's drift minutes, daily budget minutes left, or nothing
+  const BADGE_MODES = ["drift", "budget", "off"];
+
   // Backend API URL
   const API_BASE_URL = 'https://focus-nudge-extension.onrender.com';
   const LICENSE_CACHE_MS = 5 * 60 * 1000; // Cache license check for 5 minutes
@@ -111,8 +145,11 @@
     if (licenseKey) {
       const licenseCheck = await verifyLicense();
       if (licenseCheck.valid && licenseCheck.isPro) {
-        // Valid Stripe license - update local storage and return
-        await chrome.storage.local.set({ focusNudgePlan: { isPro: true, source: 'stripe' } });
+        // Valid Stripe license - update local storage (only when it changed, this runs on every drift check) and return
+        const stored = await chrome.storage.local.get({ focusNudgePlan: {} });
+        if (!stored.focusNudgePlan.isPro || stored.focusNudgePlan.source !== 'stripe') {
+          await chrome.storage.local.set({ focusNudgePlan: { isPro: true, source: 'stripe' } });
+        }
         return { isPro: true, source: 'stripe' };
       }
     }
@@ -128,44 +165,105 @@
     return { isPro: false, source: 'basic' };
   }
 
+  /**
+   * Keep only known interventions, capped at MAX_LADDER_STEPS
+   * @param {string[]} ladder
+   * @returns {string[]} Never empty (falls back to a single overlay)
+   */
+  function sanitizeLadder(ladder) {
+    const steps = (Array.isArray(ladder) ? ladder : [])
+      .filter((step) => INTERVENTIONS.includes(step))
+      .slice(0, MAX_LADDER_STEPS);
+    return steps.length ? steps : ["overlay"];
+  }
+
+  /**
+   * Keep only known drift tunables with numeric values, clamped to DRIFT_PARAM_RANGES
+   * @param {Object} params - Stored settings.drift_params
+   * @returns {Object} Overrides for FocusNudgeDrift (missing keys use the engine defaults)
+   */
+  function sanitizeDriftParams(params) {
+    const clean = {};
+    for (const [key, [min, max]] of Object.entries(DRIFT_PARAM_RANGES)) {
+      const value = params?.[key];
+      if (typeof value === "number" && Number.isFinite(value)) {
+        clean[key] = Math.max(min, Math.min(max, value));
+      }
+    }
+    return clean;
+  }
+
+  /**
+   * Clamp a nudge display duration (0 is allowed and means "until the user acts")
+   * @param {*} value - Stored seconds
+   * @param {number} fallback - Default seconds when unset
+   * @returns {number}
+   */
+  function clampDuration(value, fallback) {
+    const sec = typeof value === "number" && !Number.isNaN(value) ? value : fallback;
+    return Math.max(0, Math.min(MAX_DISPLAY_DURATION_SEC, Math.round(sec)));
+  }
+
   /**
    * Get effective settings based on plan
-   * BASIC: Tone is customizable, but drift_threshold and cooldown are hard-enforced defaults
-   * PRO: All settings are customizable from storage (clamped to valid ranges)
-   * @returns {Promise<{tone: string, drift_threshold_min: number, cooldown_min: number}>}
+   * BASIC: Tone, snooze length, the intention prompt, nudge appearance and the daily budget are customizable, but drift_threshold and cooldown are hard-enforced defaults
+   * PRO: All settings are customizable from storage (clamped to valid ranges), including the escalation ladder, drift strategy and tunables, and what happens when the budget runs out
+   * @param {{isPro: boolean}} [plan] - Already resolved plan (looked up when omitted)
+   * @returns {Promise<{tone: string, drift_threshold_min: number, cooldown_min: number, snooze_min: number, escalation_ladder: string[], block_min: number, intention_prompt: boolean, overlay_theme: string, overlay_position: string, toast_duration_sec: number, overlay_duration_sec: number, drift_strategy: string, drift_params: Object, daily_budget_min: number, day_reset_hour: number, budget_intervention: string, badge_mode: string}>}
    */
-  async function getEffectiveSettings() {
-    const plan = await getPlan();
+  async function getEffectiveSettings(plan) {
+    plan = plan || await getPlan();
     
     // Read settings from storage (both Basic and Pro can customize tone)
-    const stored = await chrome.storage.local.get({
-      focusNudgeSettings: {
-        tone: "gentle",
-        drift_threshold_min: 15,
-        cooldown_min: 10
-      }
-    });
-    
-    const settings = stored.focusNudgeSettings;
+    // Settings saved before a field existed lack it; getSettings merges stored values over the defaults field by field
+    const settings = await getSettings();
+    const snoozeMin = Math.max(1, Math.min(240, settings.snooze_min || 15));
+    const intentionPrompt = settings.intention_prompt === true;
+    const appearance = {
+      overlay_theme: OVERLAY_THEMES.includes(settings.overlay_theme) ? settings.overlay_theme : "auto",
+      overlay_position: OVERLAY_POSITIONS.includes(settings.overlay_position) ? settings.overlay_position : "auto",
+      toast_duration_sec: clampDuration(settings.toast_duration_sec, 10),
+      overlay_duration_sec: clampDuration(settings.overlay_duration_sec, 20),
+      badge_mode: BADGE_MODES.includes(settings.badge_mode) ? settings.badge_mode : "drift"
+    };
+    // Daily drift budget (0 = no budget) and the local hour days start at
+    const budget = {
+      daily_budget_min: Math.max(0, Math.min(600, Math.round(settings.daily_budget_min) || 0)),
+      day_reset_hour: Number.isInteger(settings.day_reset_hour) ? Math.max(0, Math.min(23, settings.day_reset_hour)) : 0
+    };
     
     if (!plan.isPro) {
       // BASIC: Tone is customizable, but drift_threshold and cooldown are hard-enforced
       return {
-        tone: ["gentle", "motivational", "sarcastic"].includes(settings.tone) 
-          ? settings.tone 
-          : BASIC_DEFAULTS.tone,
+        tone: TONES.includes(settings.tone) ? settings.tone : BASIC_DEFAULTS.tone,
         drift_threshold_min: BASIC_DEFAULTS.drift_threshold_min,
-        cooldown_min: BASIC_DEFAULTS.cooldown_min
+        cooldown_min: BASIC_DEFAULTS.cooldown_min,
+        snooze_min: snoozeMin,
+        escalation_ladder: BASIC_DEFAULTS.escalation_ladder,
+        block_min: BASIC_DEFAULTS.block_min,
+        drift_strategy: BASIC_DEFAULTS.drift_strategy,
+        drift_params: {},
+        intention_prompt: intentionPrompt,
+        ...appearance,
+        ...budget,
+        budget_intervention: BASIC_DEFAULTS.budget_intervention
       };
     }
     
     // PRO: All settings are customizable (clamped to valid ranges)
     return {
-      tone: ["gentle", "motivational", "sarcastic"].includes(settings.tone) 
-        ? settings.tone 
-        : "gentle",
+      tone: TONES.includes(settings.tone) ? settings.tone : "gentle",
       drift_threshold_min: Math.max(1, Math.min(120, settings.drift_threshold_min || 15)),
-      cooldown_min: Math.max(1, Math.min(120, settings.cooldown_min || 10))
+      cooldown_min: Math.max(1, Math.min(120, settings.cooldown_min || 10)),
+      snooze_min: snoozeMin,
+      escalation_ladder: sanitizeLadder(settings.escalation_ladder),
+      block_min: Math.max(1, Math.min(120, settings.block_min || 10)),
+      drift_strategy: DRIFT_STRATEGIES.includes(settings.drift_strategy) ? settings.drift_strategy : "linear",
+      drift_params: sanitizeDriftParams(settings.drift_params),
+      intention_prompt: intentionPrompt,
+      ...appearance,
+      ...budget,
+      budget_intervention: INTERVENTIONS.includes(settings.budget_intervention) ? settings.budget_intervention : "blur"
     };
   }
 
@@ -217,7 +315,15 @@
       clearDevPlan,
       getApiBaseUrl,
       getUserId,
-      BASIC_DEFAULTS 
+      BASIC_DEFAULTS,
+      INTERVENTIONS,
+      MAX_LADDER_STEPS,
+      DRIFT_STRATEGIES,
+      DRIFT_PARAM_RANGES,
+      OVERLAY_THEMES,
+      OVERLAY_POSITIONS,
+      BADGE_MODES,
+      MAX_DISPLAY_DURATION_SEC
     };
   }
 })();
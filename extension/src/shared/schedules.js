@@ -0,0 +1,159 @@
+// Schedules module: Named weekly time windows with their own threshold, cooldown, tone and on/off state
+// The week is a grid of 168 hours; each hour belongs to at most one schedule, hours without one use the regular settings
+
+// Prevent redeclaration if module is loaded multiple times
+(function() {
+  'use strict';
+
+  if (typeof self !== 'undefined' && self.FocusNudgeSchedules) {
+    return; // Already loaded
+  }
+
+  const SCHEDULES_KEY = "focusNudgeSchedules"; // { schedules, grid }
+  const MAX_SCHEDULES = 6;
+  const HOURS_PER_WEEK = 7 * 24;
+  const { TONES } = self.FocusNudgeSettings;
+
+  /**
+   * Create an empty schedule
+   * @param {string} name
+   * @returns {{id: string, name: string, enabled: boolean, drift_threshold_min: number|null, cooldown_min: number|null, tone: string|null, drift_sites: string[]}}
+   */
+  function createSchedule(name) {
+    return {
+      id: `s${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`,
+      name,
+      enabled: true, // false = no nudges in this window (drift is still tracked)
+      drift_threshold_min: null, // null = same as the regular settings
+      cooldown_min: null,
+      tone: null,
+      drift_sites: [] // Sites whose every page counts as DRIFT in this window
+    };
+  }
+
+  /**
+   * Clamp an optional minutes override (null keeps the regular setting)
+   * @param {*} value
+   * @returns {number|null}
+   */
+  function clampMinutes(value) {
+    if (value === null || value === undefined || value === "") return null;
+    const minutes = Number(value);
+    return Number.isFinite(minutes) ? Math.max(1, Math.min(120, Math.round(minutes))) : null;
+  }
+
+  /**
+   * Clean up a stored schedule
+   * @param {Object} schedule
+   * @returns {Object}
+   */
+  function normalizeSchedule(schedule) {
+    return {
+      id: String(schedule.id),
+      name: String(schedule.name || "").trim().slice(0, 40),
+      enabled: schedule.enabled !== false,
+      drift_threshold_min: clampMinutes(schedule.drift_threshold_min),
+      cooldown_min: clampMinutes(schedule.cooldown_min),
+      tone: TONES.includes(schedule.tone) ? schedule.tone : null,
+      drift_sites: Array.isArray(schedule.drift_sites) ? schedule.drift_sites.map(String) : []
+    };
+  }
+
+  /**
+   * Clean up a stored schedule config; grid hours pointing at deleted schedules are cleared
+   * @param {Object} config
+   * @returns {{schedules: Object[], grid: Array<string|null>}}
+   */
+  function normalizeConfig(config) {
+    const schedules = (Array.isArray(config?.schedules) ? config.schedules : [])
+      .filter((schedule) => schedule && schedule.id)
+      .slice(0, MAX_SCHEDULES)
+      .map(normalizeSchedule);
+    const ids = new Set(schedules.map((schedule) => schedule.id));
+    const stored = Array.isArray(config?.grid) ? config.grid : [];
+    const grid = Array.from({ length: HOURS_PER_WEEK }, (_, i) => (ids.has(stored[i]) ? stored[i] : null));
+    return { schedules, grid };
+  }
+
+  /**
+   * Get schedules and the weekly grid
+   * @returns {Promise<{schedules: Object[], grid: Array<string|null>}>}
+   */
+  async function getSchedules() {
+    const stored = await chrome.storage.local.get({ [SCHEDULES_KEY]: null });
+    return normalizeConfig(stored[SCHEDULES_KEY]);
+  }
+
+  /**
+   * Save schedules and the weekly grid
+   * @param {{schedules: Object[], grid: Array<string|null>}} config
+   * @returns {Promise<void>}
+   */
+  async function saveSchedules(config) {
+    await chrome.storage.local.set({ [SCHEDULES_KEY]: normalizeConfig(config) });
+  }
+
+  /**
+   * Grid index of the hour a date falls in (0 = Sunday 00:00, 167 = Saturday 23:00)
+   * @param {Date} date
+   * @returns {number}
+   */
+  function gridIndex(date) {
+    return date.getDay() * 24 + date.getHours();
+  }
+
+  /**
+   * Get the schedule covering a date
+   * @param {{schedules: Object[], grid: Array<string|null>}} config
+   * @param {Date} [date]
+   * @returns {Object|null}
+   */
+  function getActiveSchedule(config, date = new Date()) {
+    const id = config?.grid?.[gridIndex(date)];
+    return (id && config.schedules.find((schedule) => schedule.id === id)) || null;
+  }
+
+  /**
+   * Apply a schedule's overrides to effective settings
+   * @param {Object} settings - Effective settings
+   * @param {Object|null} schedule
+   * @returns {Object} Settings with nudges_enabled set
+   */
+  function applySchedule(settings, schedule) {
+    if (!schedule) return { ...settings, nudges_enabled: true };
+    return {
+      ...settings,
+      tone: schedule.tone || settings.tone,
+      drift_threshold_min: schedule.drift_threshold_min ?? settings.drift_threshold_min,
+      cooldown_min: schedule.cooldown_min ?? settings.cooldown_min,
+      nudges_enabled: schedule.enabled
+    };
+  }
+
+  /**
+   * Check whether a schedule counts every page of a site as DRIFT
+   * @param {Object|null} schedule
+   * @param {string|null} siteId
+   * @returns {boolean}
+   */
+  function forcesDrift(schedule, siteId) {
+    return !!schedule && !!siteId && schedule.drift_sites.includes(siteId);
+  }
+
+  // Export for use in other modules (global for importScripts compatibility)
+  if (typeof self !== 'undefined') {
+    self.FocusNudgeSchedules = {
+      getSchedules,
+      saveSchedules,
+      createSchedule,
+      normalizeConfig,
+      getActiveSchedule,
+      applySchedule,
+      forcesDrift,
+      gridIndex,
+      SCHEDULES_KEY,
+      MAX_SCHEDULES,
+      HOURS_PER_WEEK
+    };
+  }
+})();
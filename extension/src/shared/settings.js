@@ -9,19 +9,34 @@
   }
 
   const SETTINGS_KEY = "focusNudgeSettings";
+  const TONES = ["gentle", "motivational", "sarcastic"]; // Nudge tones (message packs, schedules and plan checks share this)
   const DEFAULT_SETTINGS = {
     tone: "gentle",
     drift_threshold_min: 15,
-    cooldown_min: 10
+    cooldown_min: 10,
+    snooze_min: 15,
+    escalation_ladder: ["toast", "overlay", "blur"],
+    block_min: 10,
+    intention_prompt: false,
+    overlay_theme: "auto",
+    overlay_position: "auto",
+    toast_duration_sec: 10,
+    overlay_duration_sec: 20,
+    drift_strategy: "linear",
+    daily_budget_min: 0, // 0 = no daily drift budget
+    day_reset_hour: 0, // Local hour the daily budget (and {minutes_today}) resets
+    budget_intervention: "blur",
+    badge_mode: "drift", // What the toolbar badge shows: "drift" | "budget" | "off"
+    drift_params: {} // Pro: drift engine tunable overrides (see FocusNudgeDrift.DEFAULT_PARAMS)
   };
 
   /**
    * Get user settings
-   * @returns {Promise<{tone: string, drift_threshold_min: number, cooldown_min: number}>}
+   * @returns {Promise<{tone: string, drift_threshold_min: number, cooldown_min: number, snooze_min: number, escalation_ladder: string[], block_min: number, intention_prompt: boolean, overlay_theme: string, overlay_position: string, toast_duration_sec: number, overlay_duration_sec: number, drift_strategy: string, drift_params: Object, daily_budget_min: number, day_reset_hour: number, budget_intervention: string, badge_mode: string}>}
    */
   async function getSettings() {
     const stored = await chrome.storage.local.get({ [SETTINGS_KEY]: DEFAULT_SETTINGS });
-    return stored[SETTINGS_KEY];
+    return { ...DEFAULT_SETTINGS, ...stored[SETTINGS_KEY] };
   }
 
   /**
@@ -43,6 +58,6 @@
 
   // Export for use in other modules (global for importScripts compatibility)
   if (typeof self !== 'undefined') {
-    self.FocusNudgeSettings = { getSettings, saveSettings, getDefaultSettings, DEFAULT_SETTINGS };
+    self.FocusNudgeSettings = { getSettings, saveSettings, getDefaultSettings, DEFAULT_SETTINGS, TONES };
   }
 })();
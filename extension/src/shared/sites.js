@@ -0,0 +1,203 @@
+// Sites module: Registry of tracked sites, each with its own URL matcher and page classifier
+// Site definitions live in src/shared/sites/*.js and register themselves on load
+
+// Prevent redeclaration if module is loaded multiple times
+(function() {
+  'use strict';
+
+  if (typeof self !== 'undefined' && self.FocusNudgeSites) {
+    return; // Already loaded
+  }
+
+  const MODES = ["GOOD", "DRIFT", "UNKNOWN"];
+  const USER_RULE_CONFIDENCE = 1.0; // The user told us explicitly
+  const PATH_RULE_CONFIDENCE = 0.9;
+
+  // Sub-mode taxonomy shared by all sites
+  // driftWeight scales how fast a DRIFT page builds drift (1 = full speed); unlisted weights default to 1
+  const SUB_MODES = {
+    feed: { label: "Feed", driftWeight: 1.0 },
+    video: { label: "Video", driftWeight: 1.0 },
+    profile_activity: { label: "Profile activity", driftWeight: 0.8 },
+    notifications: { label: "Notifications", driftWeight: 0.7 },
+    discussion: { label: "Discussions", driftWeight: 0.6 },
+    pymk: { label: "People you may know", driftWeight: 0.6 },
+    newsletter: { label: "Newsletters", driftWeight: 0.5 },
+    job_search: { label: "Job search" },
+    messaging: { label: "Messaging" },
+    search: { label: "Search" },
+    learning: { label: "Learning" },
+    article: { label: "Articles" },
+    posting: { label: "Posting" },
+    custom: { label: "Custom rule" },
+    other: { label: "Other" }
+  };
+
+  // siteId -> site definition
+  const registry = new Map();
+
+  /**
+   * Register a site definition
+   * @param {Object} site
+   * @param {string} site.id - Stable identifier (e.g. "linkedin")
+   * @param {string} site.label - Human-readable name
+   * @param {string[]} site.hosts - Hostnames the site is served from
+   * @param {Function} site.classify - (page) => {mode, subMode, confidence}
+   * @param {string} [site.feedItemSelector] - CSS selector for feed items, used by structural feed detection
+   * @param {string} [site.feedContainerSelector] - CSS selector for the feed container hidden by focus mode
+   * @param {Array<{label: string, path: string}>} [site.focusLinks] - GOOD areas offered by the focus mode panel
+   *   (labels are translated by the catalog message "focusLink" + label without spaces, e.g. focusLinkJobs)
+   */
+  function registerSite(site) {
+    if (!site?.id || !Array.isArray(site.hosts) || typeof site.classify !== "function") {
+      throw new Error(`Invalid site definition: ${site?.id || "(no id)"}`);
+    }
+    registry.set(site.id, site);
+  }
+
+  /**
+   * Get a registered site by id
+   * @param {string} siteId
+   * @returns {Object|null}
+   */
+  function getSite(siteId) {
+    return registry.get(siteId) || null;
+  }
+
+  /**
+   * List all registered sites
+   * @returns {Object[]}
+   */
+  function listSites() {
+    return Array.from(registry.values());
+  }
+
+  /**
+   * Manifest match patterns for a site (content_scripts / host_permissions)
+   * @param {Object} site
+   * @returns {string[]}
+   */
+  function getMatchPatterns(site) {
+    return site.hosts.map((host) => `https://${host}/*`);
+  }
+
+  /**
+   * Find the site a URL belongs to
+   * @param {string} url
+   * @returns {Object|null} Site definition or null if the URL is not tracked
+   */
+  function getSiteForUrl(url) {
+    if (!url) return null;
+
+    let parsed;
+    try {
+      parsed = new URL(url);
+    } catch {
+      return null;
+    }
+
+    if (parsed.protocol !== "https:") return null;
+
+    for (const site of registry.values()) {
+      if (site.hosts.includes(parsed.hostname)) {
+        return site;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Check whether a URL belongs to any tracked site
+   * @param {string} url
+   * @returns {boolean}
+   */
+  function isTrackedUrl(url) {
+    return getSiteForUrl(url) !== null;
+  }
+
+  /**
+   * Get the default drift weight for a sub-mode
+   * @param {string} subMode
+   * @returns {number} Weight between 0 and 1
+   */
+  function getSubModeWeight(subMode) {
+    const weight = SUB_MODES[subMode]?.driftWeight;
+    return typeof weight === "number" ? weight : 1;
+  }
+
+  /**
+   * Classify a path with an ordered list of rules (first match wins)
+   * Each rule has one of `prefix`, `exact` or `pattern` (RegExp), plus `mode` and `subMode`
+   * @param {string} path
+   * @param {Array<Object>} rules
+   * @returns {{mode: string, subMode: string, confidence: number}|null}
+   */
+  function classifyByPathRules(path, rules) {
+    const rule = rules.find((r) =>
+      (r.prefix && path.startsWith(r.prefix)) ||
+      (r.exact && path === r.exact) ||
+      (r.pattern && r.pattern.test(path))
+    );
+    if (!rule) return null;
+    return { mode: rule.mode, subMode: rule.subMode, confidence: PATH_RULE_CONFIDENCE };
+  }
+
+  /**
+   * Classify a page
+   * User rules (src/shared/userRules.js) are checked first, then the site's built-in classifier
+   * @param {Object} page
+   * @param {string} page.url - Full page URL
+   * @param {Object} [page.signals] - DOM signals from the content script (e.g. looksLikeFeed)
+   * @param {Array} [page.userRules] - User rules in priority order
+   * @returns {{site: string, mode: string, subMode: string, confidence: number, rule: Object|null}}
+   */
+  function classifyPage(page) {
+    const site = getSiteForUrl(page.url);
+    if (!site) {
+      return { site: null, mode: "UNKNOWN", subMode: "other", confidence: 0.1, rule: null };
+    }
+
+    const { pathname, search } = new URL(page.url);
+    const path = pathname || "/";
+
+    const result = site.classify({ ...page, path }) || {};
+    const subMode = SUB_MODES[result.subMode] ? result.subMode : "other";
+
+    // User rules win over built-in defaults; keep the built-in sub-mode when it says something
+    const match = self.FocusNudgeUserRules?.findMatchingRule(page.userRules, site.id, path, search);
+    if (match) {
+      return {
+        site: site.id,
+        mode: match.rule.mode,
+        subMode: subMode === "other" ? "custom" : subMode,
+        confidence: USER_RULE_CONFIDENCE,
+        rule: { index: match.index, ...match.rule }
+      };
+    }
+
+    return {
+      site: site.id,
+      mode: MODES.includes(result.mode) ? result.mode : "UNKNOWN",
+      subMode,
+      confidence: typeof result.confidence === "number" ? result.confidence : 0.4,
+      rule: null
+    };
+  }
+
+  // Export for use in other modules (global for importScripts compatibility)
+  if (typeof self !== 'undefined') {
+    self.FocusNudgeSites = {
+      registerSite,
+      getSite,
+      listSites,
+      getMatchPatterns,
+      getSiteForUrl,
+      isTrackedUrl,
+      classifyByPathRules,
+      classifyPage,
+      getSubModeWeight,
+      MODES,
+      SUB_MODES
+    };
+  }
+})();
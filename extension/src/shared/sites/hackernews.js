@@ -0,0 +1,42 @@
+// Hacker News site definition
+// GOOD: submitting, replying
+// DRIFT: front page and story listings
+
+(function() {
+  'use strict';
+
+  const { registerSite, classifyByPathRules } = self.FocusNudgeSites;
+
+  // HN paths are flat, so match exactly rather than by prefix
+  const PATH_RULES = [
+    { exact: "/submit", mode: "GOOD", subMode: "posting" },
+    { exact: "/reply", mode: "GOOD", subMode: "posting" },
+    { exact: "/threads", mode: "GOOD", subMode: "messaging" },
+
+    ...["/", "/news", "/newest", "/front", "/best", "/ask", "/show"].map((exact) => (
+      { exact, mode: "DRIFT", subMode: "feed" }
+    ))
+  ];
+
+  registerSite({
+    id: "hackernews",
+    label: "Hacker News",
+    hosts: ["news.ycombinator.com"],
+
+    feedContainerSelector: '#hnmain table.itemlist, #bigbox',
+    focusLinks: [
+      { label: "Submit", path: "/submit" }
+    ],
+
+    classify(page) {
+      const byPath = classifyByPathRules(page.path, PATH_RULES);
+      if (byPath) return byPath;
+
+      if (page.path === "/item") {
+        return { mode: "UNKNOWN", subMode: "discussion", confidence: 0.4 };
+      }
+
+      return { mode: "UNKNOWN", subMode: "other", confidence: 0.4 };
+    }
+  });
+})();
@@ -0,0 +1,55 @@
+// LinkedIn site definition
+// GOOD: jobs, messaging, search, learning, articles
+// DRIFT: feed, notifications, video, people you may know, newsletters, profile activity
+
+(function() {
+  'use strict';
+
+  const { registerSite, classifyByPathRules } = self.FocusNudgeSites;
+
+  // First match wins
+  const PATH_RULES = [
+    // "Good" intent areas
+    { prefix: "/jobs", mode: "GOOD", subMode: "job_search" },
+    { prefix: "/messaging", mode: "GOOD", subMode: "messaging" },
+    { prefix: "/learning", mode: "GOOD", subMode: "learning" },
+    { prefix: "/pulse", mode: "GOOD", subMode: "article" },
+    { prefix: "/search", mode: "GOOD", subMode: "search" },
+
+    // Drift-prone areas
+    { prefix: "/feed", mode: "DRIFT", subMode: "feed" },
+    { prefix: "/notifications", mode: "DRIFT", subMode: "notifications" },
+    { prefix: "/video", mode: "DRIFT", subMode: "video" },
+    // Only the suggestion pages (bare /mynetwork lands on grow); invitations, connections and the rest are left to user rules
+    { pattern: /^\/mynetwork(\/(grow|discover-hub|discovery-see-all)(\/|$)|\/?$)/, mode: "DRIFT", subMode: "pymk" },
+    { prefix: "/newsletters", mode: "DRIFT", subMode: "newsletter" },
+    { pattern: /^\/in\/[^/]+\/recent-activity/, mode: "DRIFT", subMode: "profile_activity" }
+  ];
+
+  registerSite({
+    id: "linkedin",
+    label: "LinkedIn",
+    hosts: ["www.linkedin.com"],
+
+    // Feed posts carry activity URNs regardless of UI language
+    feedItemSelector: '[data-urn^="urn:li:activity:"], [data-id^="urn:li:activity:"]',
+    feedContainerSelector: 'main .scaffold-finite-scroll',
+    focusLinks: [
+      { label: "Jobs", path: "/jobs/" },
+      { label: "Messaging", path: "/messaging/" },
+      { label: "Search", path: "/search/results/all/" }
+    ],
+
+    classify(page) {
+      const byPath = classifyByPathRules(page.path, PATH_RULES);
+      if (byPath) return byPath;
+
+      // Heuristic fallback: feed-like page structure (see src/content/feedDetector.js)
+      if (page.signals?.looksLikeFeed) {
+        return { mode: "DRIFT", subMode: "feed", confidence: 0.6 };
+      }
+
+      return { mode: "UNKNOWN", subMode: "other", confidence: 0.4 };
+    }
+  });
+})();
@@ -0,0 +1,51 @@
+// Reddit site definition
+// GOOD: messages, search, posting
+// DRIFT: front page, r/popular, r/all, subreddit listings
+
+(function() {
+  'use strict';
+
+  const { registerSite, classifyByPathRules } = self.FocusNudgeSites;
+
+  // First match wins
+  const PATH_RULES = [
+    { prefix: "/message", mode: "GOOD", subMode: "messaging" },
+    { prefix: "/search", mode: "GOOD", subMode: "search" },
+    { prefix: "/submit", mode: "GOOD", subMode: "posting" },
+    { prefix: "/settings", mode: "GOOD", subMode: "other" },
+
+    { exact: "/", mode: "DRIFT", subMode: "feed" },
+    { prefix: "/r/popular", mode: "DRIFT", subMode: "feed" },
+    { prefix: "/r/all", mode: "DRIFT", subMode: "feed" },
+    { pattern: /^\/(best|hot|new|top|rising)\b/, mode: "DRIFT", subMode: "feed" }
+  ];
+
+  registerSite({
+    id: "reddit",
+    label: "Reddit",
+    hosts: ["www.reddit.com", "old.reddit.com"],
+
+    feedContainerSelector: 'shreddit-feed, #siteTable',
+    focusLinks: [
+      { label: "Inbox", path: "/message/inbox" },
+      { label: "Search", path: "/search/" },
+      { label: "Post", path: "/submit" }
+    ],
+
+    classify(page) {
+      const byPath = classifyByPathRules(page.path, PATH_RULES);
+      if (byPath) return byPath;
+
+      // Subreddit listings behave like a feed, comment threads are ambiguous
+      if (/^\/r\/[^/]+\/?$/.test(page.path)) {
+        return { mode: "DRIFT", subMode: "feed", confidence: 0.6 };
+      }
+
+      if (/^\/r\/[^/]+\/comments\//.test(page.path)) {
+        return { mode: "UNKNOWN", subMode: "discussion", confidence: 0.4 };
+      }
+
+      return { mode: "UNKNOWN", subMode: "other", confidence: 0.4 };
+    }
+  });
+})();
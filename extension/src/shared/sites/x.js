@@ -0,0 +1,46 @@
+// X (Twitter) site definition
+// GOOD: direct messages, search, composing
+// DRIFT: home timeline, explore, notifications
+
+(function() {
+  'use strict';
+
+  const { registerSite, classifyByPathRules } = self.FocusNudgeSites;
+
+  // First match wins
+  const PATH_RULES = [
+    { prefix: "/messages", mode: "GOOD", subMode: "messaging" },
+    { prefix: "/search", mode: "GOOD", subMode: "search" },
+    { prefix: "/compose", mode: "GOOD", subMode: "posting" },
+    { prefix: "/settings", mode: "GOOD", subMode: "other" },
+
+    { prefix: "/home", mode: "DRIFT", subMode: "feed" },
+    { prefix: "/explore", mode: "DRIFT", subMode: "feed" },
+    { prefix: "/notifications", mode: "DRIFT", subMode: "notifications" }
+  ];
+
+  registerSite({
+    id: "x",
+    label: "X",
+    hosts: ["x.com", "twitter.com"],
+
+    feedContainerSelector: '[data-testid="primaryColumn"] section',
+    focusLinks: [
+      { label: "Messages", path: "/messages" },
+      { label: "Bookmarks", path: "/i/bookmarks" },
+      { label: "Post", path: "/compose/post" }
+    ],
+
+    classify(page) {
+      const byPath = classifyByPathRules(page.path, PATH_RULES);
+      if (byPath) return byPath;
+
+      // Single posts and their replies
+      if (/^\/[^/]+\/status\//.test(page.path)) {
+        return { mode: "UNKNOWN", subMode: "discussion", confidence: 0.4 };
+      }
+
+      return { mode: "UNKNOWN", subMode: "other", confidence: 0.4 };
+    }
+  });
+})();
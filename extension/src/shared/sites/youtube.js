@@ -0,0 +1,48 @@
+// YouTube site definition
+// GOOD: search results, playlists, subscriptions
+// DRIFT: home page recommendations, Shorts, trending
+
+(function() {
+  'use strict';
+
+  const { registerSite, classifyByPathRules } = self.FocusNudgeSites;
+
+  // First match wins
+  const PATH_RULES = [
+    { prefix: "/results", mode: "GOOD", subMode: "search" },
+    { prefix: "/playlist", mode: "GOOD", subMode: "learning" },
+    { prefix: "/feed/subscriptions", mode: "GOOD", subMode: "feed" },
+    { prefix: "/feed/library", mode: "GOOD", subMode: "learning" },
+
+    // Home page is the recommendation feed
+    { exact: "/", mode: "DRIFT", subMode: "feed" },
+    { prefix: "/shorts", mode: "DRIFT", subMode: "video" },
+    { prefix: "/feed/trending", mode: "DRIFT", subMode: "feed" },
+    { prefix: "/feed/explore", mode: "DRIFT", subMode: "feed" }
+  ];
+
+  registerSite({
+    id: "youtube",
+    label: "YouTube",
+    hosts: ["www.youtube.com", "m.youtube.com"],
+
+    feedContainerSelector: 'ytd-rich-grid-renderer, ytd-shorts',
+    focusLinks: [
+      { label: "Subscriptions", path: "/feed/subscriptions" },
+      { label: "Playlists", path: "/feed/playlists" },
+      { label: "Library", path: "/feed/library" }
+    ],
+
+    classify(page) {
+      const byPath = classifyByPathRules(page.path, PATH_RULES);
+      if (byPath) return byPath;
+
+      // Watch pages can be either intentional or autoplay drift
+      if (page.path.startsWith("/watch")) {
+        return { mode: "UNKNOWN", subMode: "video", confidence: 0.4 };
+      }
+
+      return { mode: "UNKNOWN", subMode: "other", confidence: 0.4 };
+    }
+  });
+})();
@@ -0,0 +1,152 @@
+// Trace module: Opt-in recorder of the per-tick observations the drift engine sees
+// Traces stay in chrome.storage.local until exported from Options and replayed with scripts/replay-trace.js
+
+// Prevent redeclaration if module is loaded multiple times
+(function() {
+  'use strict';
+
+  if (typeof self !== 'undefined' && self.FocusNudgeTrace) {
+    return; // Already loaded
+  }
+
+  // Recording is checked on every tick, so the flag has its own key; entries are stored in chunks
+  // so appending one only rewrites the newest chunk, never the whole trace
+  const TRACE_ENABLED_KEY = "focusNudgeTraceEnabled";
+  const TRACE_CHUNKS_KEY = "focusNudgeTraceChunks"; // { first, last } - numbers of the stored chunks
+  const TRACE_CHUNK_PREFIX = "focusNudgeTrace."; // + chunk number -> entries
+  const TRACE_CHUNK_SIZE = 250;
+  const MAX_TRACE_ENTRIES = 5000; // About 7 hours of ticks; the oldest chunk drops off first
+  const MAX_TRACE_CHUNKS = MAX_TRACE_ENTRIES / TRACE_CHUNK_SIZE;
+  const TRACE_FORMAT = "focus-nudge-trace";
+  const TRACE_VERSION = 1;
+
+  /**
+   * Storage key of a chunk
+   * @param {number} n - Chunk number
+   * @returns {string}
+   */
+  function chunkKey(n) {
+    return `${TRACE_CHUNK_PREFIX}${n}`;
+  }
+
+  /**
+   * Get the numbers of the stored chunks
+   * @returns {Promise<{first: number, last: number}|null>} null = nothing recorded
+   */
+  async function getChunkRange() {
+    const stored = await chrome.storage.local.get({ [TRACE_CHUNKS_KEY]: null });
+    return stored[TRACE_CHUNKS_KEY];
+  }
+
+  /**
+   * Get the stored trace
+   * @returns {Promise<{enabled: boolean, entries: Array<Object>}>}
+   */
+  async function getTrace() {
+    const stored = await chrome.storage.local.get({ [TRACE_ENABLED_KEY]: false, [TRACE_CHUNKS_KEY]: null });
+    const range = stored[TRACE_CHUNKS_KEY];
+    if (!range) return { enabled: stored[TRACE_ENABLED_KEY], entries: [] };
+
+    const keys = [];
+    for (let n = range.first; n <= range.last; n++) keys.push(chunkKey(n));
+    const chunks = await chrome.storage.local.get(keys);
+    return {
+      enabled: stored[TRACE_ENABLED_KEY],
+      entries: keys.flatMap((key) => chunks[key] || [])
+    };
+  }
+
+  /**
+   * Turn recording on or off (recorded entries are kept)
+   * @param {boolean} enabled
+   * @returns {Promise<void>}
+   */
+  async function setRecording(enabled) {
+    await chrome.storage.local.set({ [TRACE_ENABLED_KEY]: !!enabled });
+  }
+
+  /**
+   * Append an entry to the newest chunk, starting a new chunk (and dropping the oldest) when it is full
+   * @param {Object} entry
+   * @returns {Promise<void>}
+   */
+  async function appendEntry(entry) {
+    const range = (await getChunkRange()) || { first: 0, last: 0 };
+    const key = chunkKey(range.last);
+    const stored = await chrome.storage.local.get({ [key]: [] });
+    const chunk = stored[key];
+
+    if (chunk.length < TRACE_CHUNK_SIZE) {
+      await chrome.storage.local.set({ [key]: [...chunk, entry], [TRACE_CHUNKS_KEY]: range });
+      return;
+    }
+
+    const next = { first: range.first, last: range.last + 1 };
+    if (next.last - next.first >= MAX_TRACE_CHUNKS) {
+      await chrome.storage.local.remove(chunkKey(next.first));
+      next.first += 1;
+    }
+    await chrome.storage.local.set({ [chunkKey(next.last)]: [entry], [TRACE_CHUNKS_KEY]: next });
+  }
+
+  // Ticks and mode changes can record at the same time; appends run one after another so none is lost
+  let pendingWrite = Promise.resolve();
+
+  /**
+   * Append one observation if recording is on
+   * @param {Object} entry - Observation as passed to the drift engine, plus tab and site ids
+   * @returns {Promise<void>}
+   */
+  async function recordObservation(entry) {
+    const stored = await chrome.storage.local.get({ [TRACE_ENABLED_KEY]: false });
+    if (!stored[TRACE_ENABLED_KEY]) return;
+
+    pendingWrite = pendingWrite.then(() => appendEntry(entry)).catch(() => {});
+    await pendingWrite;
+  }
+
+  /**
+   * Delete all recorded entries
+   * @returns {Promise<void>}
+   */
+  async function clearTrace() {
+    await pendingWrite;
+    const range = await getChunkRange();
+    const keys = [TRACE_CHUNKS_KEY];
+    if (range) {
+      for (let n = range.first; n <= range.last; n++) keys.push(chunkKey(n));
+    }
+    await chrome.storage.local.remove(keys);
+  }
+
+  /**
+   * Build the exported trace file
+   * @param {Array<Object>} entries
+   * @param {Object} settings - Effective settings at export time, the replay baseline
+   * @returns {Object}
+   */
+  function buildTraceFile(entries, settings) {
+    return {
+      format: TRACE_FORMAT,
+      version: TRACE_VERSION,
+      exported_at: new Date().toISOString(),
+      settings,
+      entries
+    };
+  }
+
+  // Export for use in other modules (global for importScripts compatibility)
+  if (typeof self !== 'undefined') {
+    self.FocusNudgeTrace = {
+      getTrace,
+      setRecording,
+      recordObservation,
+      clearTrace,
+      buildTraceFile,
+      TRACE_ENABLED_KEY,
+      MAX_TRACE_ENTRIES,
+      TRACE_FORMAT,
+      TRACE_VERSION
+    };
+  }
+})();
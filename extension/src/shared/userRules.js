@@ -0,0 +1,135 @@
+// User rules module: Custom GOOD/DRIFT URL rules that take priority over built-in site classifiers
+
+// Prevent redeclaration if module is loaded multiple times
+(function() {
+  'use strict';
+
+  if (typeof self !== 'undefined' && self.FocusNudgeUserRules) {
+    return; // Already loaded
+  }
+
+  const USER_RULES_KEY = "focusNudgeUserRules";
+  const RULE_TYPES = ["prefix", "glob", "regex"];
+  const RULE_MODES = ["GOOD", "DRIFT"];
+  const ANY_SITE = "*";
+
+  /**
+   * Get user rules in priority order (first match wins)
+   * @returns {Promise<Array<{site: string, type: string, pattern: string, mode: string}>>}
+   */
+  async function getUserRules() {
+    const stored = await chrome.storage.local.get({ [USER_RULES_KEY]: [] });
+    return Array.isArray(stored[USER_RULES_KEY]) ? stored[USER_RULES_KEY] : [];
+  }
+
+  /**
+   * Save user rules
+   * @param {Array} rules - Rules in priority order
+   * @returns {Promise<void>}
+   */
+  async function saveUserRules(rules) {
+    await chrome.storage.local.set({ [USER_RULES_KEY]: rules });
+  }
+
+  /**
+   * Convert a glob to an anchored RegExp
+   * `**` matches across slashes, `*` within one path segment, `?` a single character
+   * @param {string} glob
+   * @returns {RegExp}
+   */
+  function globToRegExp(glob) {
+    let source = "";
+    for (let i = 0; i < glob.length; i++) {
+      const ch = glob[i];
+      if (ch === "*" && glob[i + 1] === "*") {
+        source += ".*";
+        i++;
+      } else if (ch === "*") {
+        source += "[^/]*";
+      } else if (ch === "?") {
+        source += "[^/]";
+      } else {
+        source += ch.replace(/[.+^${}()|[\]\\]/g, "\\$&");
+      }
+    }
+    return new RegExp(`^${source}$`);
+  }
+
+  /**
+   * Validate a rule
+   * @param {Object} rule
+   * @returns {string|null} Error message, or null if the rule is valid
+   */
+  function validateRule(rule) {
+    if (!rule || !RULE_TYPES.includes(rule.type)) return "Unknown rule type";
+    if (!RULE_MODES.includes(rule.mode)) return "Mode must be GOOD or DRIFT";
+    if (!rule.pattern) return "Pattern is empty";
+
+    if (rule.type === "regex") {
+      try {
+        new RegExp(rule.pattern);
+      } catch (err) {
+        return `Invalid regex: ${err.message}`;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Check if a rule matches a path
+   * Prefix and glob rules match the pathname, regex rules match pathname + query
+   * @param {Object} rule
+   * @param {string} path - URL pathname
+   * @param {string} [search] - URL query string
+   * @returns {boolean}
+   */
+  function ruleMatchesPath(rule, path, search = "") {
+    if (validateRule(rule)) return false;
+
+    switch (rule.type) {
+      case "prefix":
+        return path.startsWith(rule.pattern);
+      case "glob":
+        return globToRegExp(rule.pattern).test(path);
+      case "regex":
+        return new RegExp(rule.pattern).test(path + search);
+      default:
+        return false;
+    }
+  }
+
+  /**
+   * Find the first rule that matches a page
+   * @param {Array} rules - Rules in priority order
+   * @param {string} siteId - Site the page belongs to
+   * @param {string} path - URL pathname
+   * @param {string} [search] - URL query string
+   * @returns {{rule: Object, index: number}|null}
+   */
+  function findMatchingRule(rules, siteId, path, search = "") {
+    for (let index = 0; index < (rules || []).length; index++) {
+      const rule = rules[index];
+      const siteMatches = !rule.site || rule.site === ANY_SITE || rule.site === siteId;
+      if (siteMatches && ruleMatchesPath(rule, path, search)) {
+        return { rule, index };
+      }
+    }
+    return null;
+  }
+
+  // Export for use in other modules (global for importScripts compatibility)
+  if (typeof self !== 'undefined') {
+    self.FocusNudgeUserRules = {
+      getUserRules,
+      saveUserRules,
+      validateRule,
+      ruleMatchesPath,
+      findMatchingRule,
+      globToRegExp,
+      USER_RULES_KEY,
+      RULE_TYPES,
+      RULE_MODES,
+      ANY_SITE
+    };
+  }
+})();
@@ -1,4 +1,4 @@
-// Options page: Plan settings, Pro settings, Weekly summary
+// Options page: Plan settings, Pro settings, URL rules, Weekly summary
 
 // Constants
 const POLLING_INTERVAL_MS = 1000; // 1 second between polling attempts
@@ -7,20 +7,86 @@ const SAVE_CONFIRMATION_DURATION_MS = 300;
 
 // DOM elements
 const proSettings = document.getElementById('proSettings');
+const languageSelect = document.getElementById('language');
 const toneSelect = document.getElementById('tone');
 const driftThresholdInput = document.getElementById('driftThreshold');
 const cooldownInput = document.getElementById('cooldown');
+const snoozeInput = document.getElementById('snooze');
+const intentionPromptInput = document.getElementById('intentionPrompt');
+const badgeModeSelect = document.getElementById('badgeMode');
+const dailyBudgetInput = document.getElementById('dailyBudget');
+const dayResetHourSelect = document.getElementById('dayResetHour');
+const budgetInterventionSelect = document.getElementById('budgetIntervention');
+const overlayThemeSelect = document.getElementById('overlayTheme');
+const overlayPositionSelect = document.getElementById('overlayPosition');
+const toastDurationInput = document.getElementById('toastDuration');
+const overlayDurationInput = document.getElementById('overlayDuration');
+const ladderSelects = Array.from(document.querySelectorAll('.ladder-step'));
+const blockMinutesInput = document.getElementById('blockMinutes');
+const driftStrategySelect = document.getElementById('driftStrategy');
+const driftStrategyNote = document.getElementById('driftStrategyNote');
+const messageLinesInputs = Array.from(document.querySelectorAll('.message-lines'));
+const messagesStatusEl = document.getElementById('messagesStatus');
+const exportMessagesBtn = document.getElementById('exportMessages');
+const importMessagesBtn = document.getElementById('importMessages');
+const importMessagesFileInput = document.getElementById('importMessagesFile');
+const resetMessagesBtn = document.getElementById('resetMessages');
 const weeklySummaryEl = document.getElementById('weeklySummary');
+const shortcutsListEl = document.getElementById('shortcutsList');
+const editShortcutsBtn = document.getElementById('editShortcuts');
 const resetSummaryBtn = document.getElementById('resetSummary');
 const upgradeSection = document.getElementById('upgradeSection');
 const upgradeButton = document.getElementById('upgradeButton');
 const manageSubscriptionSection = document.getElementById('manageSubscriptionSection');
 const manageButton = document.getElementById('manageButton');
+const rulesListEl = document.getElementById('rulesList');
+const addRuleBtn = document.getElementById('addRule');
+const testUrlInput = document.getElementById('testUrl');
+const testResultEl = document.getElementById('testResult');
+const focusModeEnabledInput = document.getElementById('focusModeEnabled');
+const focusModeScheduledInput = document.getElementById('focusModeScheduled');
+const focusModeDayInputs = Array.from(document.querySelectorAll('#focusModeDays input'));
+const focusModeStartInput = document.getElementById('focusModeStart');
+const focusModeEndInput = document.getElementById('focusModeEnd');
+const schedulesCard = document.getElementById('schedulesCard');
+const schedulesListEl = document.getElementById('schedulesList');
+const addScheduleBtn = document.getElementById('addSchedule');
+const scheduleBrushesEl = document.getElementById('scheduleBrushes');
+const scheduleGridEl = document.getElementById('scheduleGrid');
+const diagnosticsDetails = document.getElementById('diagnosticsDetails');
+const diagnosticsEl = document.getElementById('diagnostics');
+const refreshDiagnosticsBtn = document.getElementById('refreshDiagnostics');
+const traceRecordingInput = document.getElementById('traceRecording');
+const traceStatusEl = document.getElementById('traceStatus');
+const downloadTraceBtn = document.getElementById('downloadTrace');
+const clearTraceBtn = document.getElementById('clearTrace');
 
 // Extract from global scope (loaded via script tags)
+const { t, init: initI18n, localizePage, getLanguagePreference, setLanguagePreference, SUPPORTED_LANGUAGES } = self.FocusNudgeI18n;
 const { getPlan, getEffectiveSettings, setLicenseKey, getApiBaseUrl, getUserId, getLicenseKey } = self.FocusNudgePlan;
 const { getWeeklySummary, resetWeeklySummary } = self.FocusNudgeMetrics;
 const { getSettings, saveSettings } = self.FocusNudgeSettings;
+const { listSites, getSite, classifyPage, SUB_MODES } = self.FocusNudgeSites;
+const { getUserRules, saveUserRules, validateRule, RULE_TYPES, RULE_MODES, ANY_SITE } = self.FocusNudgeUserRules;
+const { getFocusMode, saveFocusMode } = self.FocusNudgeFocusMode;
+const { getSchedules, saveSchedules, createSchedule, MAX_SCHEDULES } = self.FocusNudgeSchedules;
+const { getTrace, setRecording, clearTrace, buildTraceFile, MAX_TRACE_ENTRIES } = self.FocusNudgeTrace;
+const { getMessagePack, saveMessagePack, resetMessagePack, validateMessage, buildPackFile, parsePackFile } = self.FocusNudgeMessages;
+
+// User rules being edited (priority order)
+let userRules = [];
+
+// Schedules being edited, the schedule painted onto the grid (null = none) and whether a drag is painting
+let scheduleConfig = { schedules: [], grid: [] };
+let scheduleBrush = null;
+let schedulePainting = false;
+
+// Grid and swatch color of each schedule, by position
+const SCHEDULE_COLORS = ['#5568d3', '#e67e22', '#27ae60', '#c0392b', '#8e44ad', '#16a085'];
+
+// Grid rows Monday first; catalog names by getDay() index
+const SCHEDULE_DAYS = [1, 2, 3, 4, 5, 6, 0];
+const DAY_NAMES = ['daySun', 'dayMon', 'dayTue', 'dayWed', 'dayThu', 'dayFri', 'daySat'];
 
 // Load and display current state
 async function loadState() {
@@ -30,7 +96,7 @@ async function loadState() {
   
   // Update plan badge (top right)
   if (planBadge) {
-    planBadge.textContent = plan.isPro ? 'PRO' : 'BASIC';
+    planBadge.textContent = (plan.isPro ? t('planPro') : t('planBasic')).toUpperCase();
     planBadge.className = `plan-badge ${plan.isPro ? 'pro' : 'basic'}`;
   }
   
@@ -62,25 +128,76 @@ async function loadState() {
   toneSelect.value = effectiveSettings.tone;
   driftThresholdInput.value = effectiveSettings.drift_threshold_min;
   cooldownInput.value = effectiveSettings.cooldown_min;
+  snoozeInput.value = effectiveSettings.snooze_min;
+  intentionPromptInput.checked = effectiveSettings.intention_prompt;
+  badgeModeSelect.value = effectiveSettings.badge_mode;
+  dailyBudgetInput.value = effectiveSettings.daily_budget_min;
+  dayResetHourSelect.value = effectiveSettings.day_reset_hour;
+  budgetInterventionSelect.value = effectiveSettings.budget_intervention;
+  overlayThemeSelect.value = effectiveSettings.overlay_theme;
+  overlayPositionSelect.value = effectiveSettings.overlay_position;
+  toastDurationInput.value = effectiveSettings.toast_duration_sec;
+  overlayDurationInput.value = effectiveSettings.overlay_duration_sec;
+  ladderSelects.forEach((select, i) => {
+    select.value = effectiveSettings.escalation_ladder[i] || '';
+  });
+  blockMinutesInput.value = effectiveSettings.block_min;
+  renderDriftStrategies(effectiveSettings.drift_strategy);
   
   // Enable/disable based on plan
   // Tone is available for Basic users (to give them a taste of customization)
   // Drift threshold and cooldown are Pro-only
   const isPro = plan.isPro;
+  languageSelect.value = await getLanguagePreference();
   toneSelect.disabled = false; // Always enabled - available for Basic users
   driftThresholdInput.disabled = !isPro;
   cooldownInput.disabled = !isPro;
+  ladderSelects.forEach((select) => { select.disabled = !isPro; });
+  blockMinutesInput.disabled = !isPro;
+  driftStrategySelect.disabled = !isPro;
+  budgetInterventionSelect.disabled = !isPro;
   proSettings.classList.toggle('locked', !isPro);
   
+  // Load message packs
+  await loadMessages();
+
+  // Load focus mode config
+  await loadFocusModeSettings();
+
+  // Load keyboard shortcut bindings
+  await loadShortcuts();
+
+  // Load schedules (Pro)
+  await loadSchedules(isPro, effectiveSettings);
+
+  // Load user URL rules
+  await loadUserRules();
+
   // Load weekly summary
   await loadWeeklySummary();
 }
 
+/**
+ * Fill the drift strategy picker from the drift engine and describe the selected one
+ * @param {string} selected - Strategy id
+ */
+function renderDriftStrategies(selected) {
+  const { STRATEGIES } = self.FocusNudgeDrift;
+  if (!driftStrategySelect.options.length) {
+    Object.entries(STRATEGIES).forEach(([id, strategy]) => {
+      driftStrategySelect.appendChild(new Option(t(`driftStrategy_${id}`, [], strategy.label), id));
+    });
+  }
+  driftStrategySelect.value = STRATEGIES[selected] ? selected : 'linear';
+  const strategy = STRATEGIES[driftStrategySelect.value];
+  driftStrategyNote.textContent = t(`driftStrategyNote_${driftStrategySelect.value}`, [], strategy.description);
+}
+
 // Handle Stripe Checkout
 async function handleUpgrade() {
   try {
     upgradeButton.disabled = true;
-    upgradeButton.textContent = 'Loading...';
+    upgradeButton.textContent = t('loading');
 
     const userId = await getUserId();
     const apiUrl = getApiBaseUrl();
@@ -109,9 +226,9 @@ async function handleUpgrade() {
     window.location.href = url;
   } catch (error) {
     console.error('Checkout error:', error);
-    alert('Error starting checkout: ' + error.message);
+    alert(t('checkoutError', error.message));
     upgradeButton.disabled = false;
-    upgradeButton.textContent = 'Upgrade to Pro - $0.99/month';
+    upgradeButton.textContent = t('optionsUpgradePrice');
   }
 }
 
@@ -119,7 +236,7 @@ async function handleUpgrade() {
 async function handleManageSubscription() {
   try {
     manageButton.disabled = true;
-    manageButton.textContent = 'Loading...';
+    manageButton.textContent = t('loading');
 
     const userId = await getUserId();
     const licenseKey = await getLicenseKey();
@@ -167,21 +284,17 @@ async function handleManageSubscription() {
     const errorMsg = error.message || 'Failed to create portal session';
     
     // Show user-friendly error with actionable steps
-    let userMessage = `Unable to open subscription management:\n\n${errorMsg}`;
+    let userMessage = t('portalError', errorMsg);
     
     if (errorMsg.includes('No active subscription found')) {
-      userMessage += '\n\nThis usually happens when:\n';
-      userMessage += '• The server was restarted (licenses are temporarily stored in memory)\n';
-      userMessage += '• Your subscription is still being activated\n\n';
-      userMessage += 'The system will try to recover your subscription automatically.\n';
-      userMessage += 'Please wait 10-20 seconds and try again.';
+      userMessage += '\n\n' + t('portalErrorNoSubscription');
     } else {
-      userMessage += '\n\nPlease try again in a few moments, or contact support if the issue persists.';
+      userMessage += '\n\n' + t('portalErrorRetry');
     }
     
     alert(userMessage);
     manageButton.disabled = false;
-    manageButton.textContent = 'Manage Subscription';
+    manageButton.textContent = t('optionsManageSubscription');
   }
 }
 
@@ -226,7 +339,7 @@ async function pollForLicenseActivation(showLoading = true) {
     // Show loading indicator only if requested
     if (showLoading) {
       const planBadge = document.getElementById('planBadge');
-      if (planBadge) planBadge.textContent = 'ACTIVATING...';
+      if (planBadge) planBadge.textContent = t('planActivating');
     }
     
     // Poll for license (webhook might take a moment)
@@ -250,28 +363,28 @@ async function pollForLicenseActivation(showLoading = true) {
     if (showLoading) {
       const planBadge = document.getElementById('planBadge');
       if (planBadge) {
-        planBadge.textContent = 'BASIC';
+        planBadge.textContent = t('planBasic').toUpperCase();
         planBadge.className = 'plan-badge basic';
       }
     }
     
     // Show alert only if user has payment indicators
     if (showLoading) {
-      alert('Payment received, but license activation is pending.\n\nPlease wait 10-20 seconds for the webhook to process, then refresh this page. Your Pro features will activate automatically.');
+      alert(t('licensePending'));
     }
   } catch (error) {
     console.error('[Focus Nudge] License activation error:', error);
     if (showLoading) {
       const planBadge = document.getElementById('planBadge');
       if (planBadge) {
-        planBadge.textContent = 'BASIC';
+        planBadge.textContent = t('planBasic').toUpperCase();
         planBadge.className = 'plan-badge basic';
       }
     }
     
     // Only show alert if we were showing loading
     if (showLoading) {
-      alert('Payment received, but license activation failed. Please contact support.');
+      alert(t('licenseFailed'));
     }
   }
 }
@@ -341,22 +454,276 @@ async function tryAutoCreateLicense(userId, sessionId, apiUrl) {
 async function activateLicense(licenseKey) {
   await setLicenseKey(licenseKey);
   await loadState();
-  alert('✅ Payment successful! Pro features are now active.');
+  alert(t('licenseActivated'));
   
   // Clean URL
   window.history.replaceState({}, document.title, window.location.pathname);
 }
 
 
+/**
+ * Get a sub-mode's label in the current language
+ * @param {string} subMode
+ * @returns {string}
+ */
+function subModeLabel(subMode) {
+  return t(`subMode_${subMode}`, [], SUB_MODES[subMode]?.label || subMode);
+}
+
 async function loadWeeklySummary() {
   const summary = await getWeeklySummary();
   const plan = await getPlan();
-  const planLabel = plan.isPro ? ' (Pro)' : '';
+  const planLabel = plan.isPro ? ` (${t('planPro')})` : '';
+  
+  const outcomes = summary.outcomes || {};
+  const driftBreakdown = (summary.drift_by_submode || [])
+    .map((entry) => t('summaryMinutesIn', [subModeLabel(entry.sub_mode), entry.minutes]))
+    .join(' | ');
+  const pauses = summary.pauses || { total: 0, by_kind: {} };
   
   weeklySummaryEl.innerHTML = `
-    <p><strong>This week${planLabel}:</strong> Nudges ${summary.nudges} | Early exits ${summary.early_exits} | Est. time reclaimed ~${summary.estimated_minutes} min</p>
-    <p class="footnote">*Estimated based on early exits × 5 minutes</p>
+    <p><strong>${t('summaryThisWeek', planLabel)}</strong> ${t('summaryTotals', [summary.nudges, summary.early_exits, summary.estimated_minutes])}</p>
+    <p><strong>${t('summaryOutcomes')}</strong> ${t('summaryOutcomeCounts', [outcomes.left || 0, outcomes.snoozed || 0, outcomes.intentional || 0, outcomes.ignored || 0])}</p>
+    ${driftBreakdown ? `<p><strong>${t('summaryDriftWhere')}</strong> ${driftBreakdown}</p>` : ''}
+    ${summary.away_minutes ? `<p><strong>${t('summaryAway')}</strong> ${t('summaryAwayMinutes', summary.away_minutes)}</p>` : ''}
+    ${pauses.total ? `<p><strong>${t('summaryPauses')}</strong> ${t('summaryPauseCounts', [pauses.total, pauses.by_kind['15m'] || 0, pauses.by_kind['1h'] || 0, pauses.by_kind.tomorrow || 0, pauses.by_kind.tab || 0])}</p>` : ''}
+    <p class="footnote">${t('summaryFootnote')}</p>
+  `;
+
+  // Intentions are user text - build them as nodes, not markup
+  const intentions = summary.intentions || [];
+  [
+    ['early_exit', t('summaryIntentionsKept')],
+    ['drift', t('summaryIntentionsDrifted')]
+  ].forEach(([outcome, title]) => {
+    const entries = intentions.filter((entry) => entry.outcome === outcome);
+    if (entries.length === 0) return;
+
+    const heading = document.createElement('p');
+    heading.innerHTML = `<strong>${title}</strong>`;
+    const list = document.createElement('ul');
+    list.className = 'intention-list';
+    entries.forEach((entry) => {
+      const item = document.createElement('li');
+      const siteLabel = getSite(entry.site)?.label || entry.site;
+      item.textContent = `${entry.intention} (${siteLabel})`;
+      list.appendChild(item);
+    });
+    weeklySummaryEl.insertBefore(heading, weeklySummaryEl.lastElementChild);
+    weeklySummaryEl.insertBefore(list, weeklySummaryEl.lastElementChild);
+  });
+}
+
+// Catalog names of the labels for the service worker's nudge decisions
+const DECISION_LABELS = {
+  nudge: 'decisionNudge',
+  nudge_failed: 'decisionNudgeFailed',
+  cooldown: 'decisionCooldown',
+  snoozed: 'decisionSnoozed',
+  blocked: 'decisionBlocked',
+  paused: 'decisionPaused',
+  schedule_off: 'decisionScheduleOff',
+  intentional: 'decisionIntentional',
+  away: 'decisionAway',
+  below_threshold: 'decisionBelowThreshold'
+};
+
+// Catalog names of why the user counted as away
+const AWAY_REASON_LABELS = {
+  idle: 'awayIdle',
+  locked: 'awayLocked',
+  minimized: 'awayMinimized',
+  unfocused: 'awayUnfocused',
+  hidden: 'awayHidden'
+};
+
+/**
+ * Summarize rolling-window behavior signals for the diagnostics table
+ * @param {Object} behavior - Signals from the content script
+ * @returns {string}
+ */
+function formatBehavior(behavior) {
+  if (!behavior) return '-';
+  const dwell = behavior.dwellPerViewportSec === null ? '–' : `${behavior.dwellPerViewportSec}s`;
+  return t('diagnosticsBehavior', [dwell, behavior.scrollVelocityPxPerSec, behavior.typingBursts]);
+}
+
+/**
+ * Load drift diagnostics from the service worker and render a per-tab table
+ */
+async function loadDiagnostics() {
+  let diagnostics;
+  try {
+    diagnostics = await chrome.runtime.sendMessage({ type: 'GET_DIAGNOSTICS' });
+  } catch (error) {
+    diagnosticsEl.textContent = t('diagnosticsUnavailable', error.message);
+    return;
+  }
+
+  if (!diagnostics?.tabs?.length) {
+    diagnosticsEl.textContent = t('diagnosticsEmpty');
+    return;
+  }
+
+  const thresholdMin = diagnostics.settings.drift_threshold_min;
+  const cooldownMs = diagnostics.settings.cooldown_min * 60000;
+  const siteRows = (diagnostics.sites || []).map((site) => {
+    const cooldownLeftMs = site.lastNudgeMs ? site.lastNudgeMs + cooldownMs - Date.now() : 0;
+    return `
+    <tr>
+      <td>${getSite(site.site)?.label || site.site}</td>
+      <td>${site.tabCount}</td>
+      <td>${(site.driftMs / 60000).toFixed(1)} / ${thresholdMin} min</td>
+      <td>${cooldownLeftMs > 0 ? t('diagnosticsMinutesLeft', Math.ceil(cooldownLeftMs / 60000)) : '-'}</td>
+    </tr>
+  `;
+  }).join('');
+  const rows = diagnostics.tabs.map((tab) => `
+    <tr>
+      <td>${tab.site || '-'}</td>
+      <td>${tab.mode} (${subModeLabel(tab.subMode)})</td>
+      <td>${Number(tab.confidence || 0).toFixed(2)}</td>
+      <td>${tab.accumulating ? '+' : '−'}${Number(tab.weight || 0).toFixed(2)}</td>
+      <td>${formatBehavior(tab.behavior)}${tab.passive ? ` (${t('diagnosticsPassive')})` : ''}</td>
+      <td>${(tab.driftMs / 60000).toFixed(1)} min</td>
+      <td>${DECISION_LABELS[tab.decision] ? t(DECISION_LABELS[tab.decision]) : '-'}${tab.decision === 'away' && tab.awayReason ? ` (${AWAY_REASON_LABELS[tab.awayReason] ? t(AWAY_REASON_LABELS[tab.awayReason]) : tab.awayReason})` : ''}</td>
+    </tr>
+  `).join('');
+
+  diagnosticsEl.innerHTML = `
+    <table class="diagnostics-table">
+      <thead>
+        <tr><th>${t('diagnosticsSite')}</th><th>${t('diagnosticsTabs')}</th><th>${t('diagnosticsSiteDrift')}</th><th>${t('diagnosticsCooldown')}</th></tr>
+      </thead>
+      <tbody>${siteRows}</tbody>
+    </table>
+    <table class="diagnostics-table">
+      <thead>
+        <tr><th>${t('diagnosticsSite')}</th><th>${t('diagnosticsMode')}</th><th>${t('diagnosticsConfidence')}</th><th>${t('diagnosticsWeight')}</th><th>${t('diagnosticsBehaviorHeading')}</th><th>${t('diagnosticsTabShare')}</th><th>${t('diagnosticsLastCheck')}</th></tr>
+      </thead>
+      <tbody>${rows}</tbody>
+    </table>
   `;
+
+  // Schedule names are user text - build as a node, not markup
+  if (diagnostics.schedule) {
+    const schedule = document.createElement('p');
+    schedule.className = 'diagnostics-schedule';
+    schedule.textContent = t('diagnosticsSchedule', diagnostics.schedule.name || t('scheduleUnnamed'));
+    diagnosticsEl.prepend(schedule);
+  }
+
+  if (diagnostics.pause) {
+    const pause = document.createElement('p');
+    pause.className = 'diagnostics-pause';
+    pause.textContent = t('diagnosticsPause', new Date(diagnostics.pause.until_ms).toLocaleString());
+    diagnosticsEl.prepend(pause);
+  }
+}
+
+/**
+ * Show the recording toggle and how much has been recorded
+ */
+async function loadTraceStatus() {
+  const trace = await getTrace();
+  traceRecordingInput.checked = trace.enabled;
+  const count = trace.entries.length;
+  traceStatusEl.textContent = count
+    ? t('traceStatus', [count, MAX_TRACE_ENTRIES, new Date(trace.entries[0].nowMs).toLocaleString()])
+    : t('traceEmpty');
+  downloadTraceBtn.disabled = count === 0;
+  clearTraceBtn.disabled = count === 0;
+}
+
+/**
+ * Save data as a dated JSON download
+ * @param {Object} data
+ * @param {string} name - File name prefix
+ */
+function downloadJson(data, name) {
+  const blob = new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = `${name}-${new Date().toISOString().slice(0, 10)}.json`;
+  link.click();
+  URL.revokeObjectURL(url);
+}
+
+/**
+ * Download the recorded trace as JSON, with the current settings as the replay baseline
+ */
+async function downloadTrace() {
+  const [trace, settings] = await Promise.all([getTrace(), getEffectiveSettings()]);
+  downloadJson(buildTraceFile(trace.entries, settings), 'focus-nudge-trace');
+}
+
+/**
+ * Show a message pack status line
+ * @param {string} text
+ * @param {boolean} [isError]
+ */
+function setMessagesStatus(text, isError = false) {
+  messagesStatusEl.textContent = text;
+  messagesStatusEl.classList.toggle('error', isError);
+}
+
+/**
+ * Split a textarea into message lines
+ * @param {HTMLTextAreaElement} input
+ * @returns {string[]}
+ */
+function readMessageLines(input) {
+  return input.value.split('\n').map((line) => line.trim()).filter(Boolean);
+}
+
+/**
+ * Load message packs into the per-tone editors
+ */
+async function loadMessages() {
+  const pack = await getMessagePack();
+  messageLinesInputs.forEach((input) => {
+    input.value = pack[input.dataset.tone].join('\n');
+    input.classList.remove('invalid');
+  });
+}
+
+/**
+ * Validate and save one tone's messages
+ * @param {Event} e
+ */
+async function saveMessages(e) {
+  const input = e.target;
+  const lines = readMessageLines(input);
+  const invalid = lines.map((line) => ({ line, error: validateMessage(line) })).find((entry) => entry.error);
+  input.classList.toggle('invalid', !!invalid);
+  if (invalid) {
+    setMessagesStatus(`${invalid.error}: "${invalid.line}"`, true);
+    return;
+  }
+
+  await saveMessagePack({ [input.dataset.tone]: lines });
+  setMessagesStatus(lines.length ? '' : t('messagesEmpty'));
+  await loadMessages();
+  showSaveConfirmation(input);
+}
+
+/**
+ * Import a message pack file, replacing the tones it contains
+ * @param {File} file
+ */
+async function importMessages(file) {
+  const { pack, error } = parsePackFile(await file.text());
+  if (error) {
+    setMessagesStatus(t('messagesImportFailed', [file.name, error]), true);
+    return;
+  }
+
+  await saveMessagePack(pack);
+  await loadMessages();
+  const count = Object.values(pack).reduce((sum, lines) => sum + lines.length, 0);
+  const tones = Object.keys(pack).map((tone) => t(`tone${tone[0].toUpperCase()}${tone.slice(1)}`));
+  setMessagesStatus(t('messagesImported', [count, tones.join(', ')]));
 }
 
 /**
@@ -395,6 +762,485 @@ async function saveSetting(key, value, element, min = null, max = null) {
   showSaveConfirmation(element);
 }
 
+/**
+ * List the keyboard shortcuts (see "commands" in manifest.json) with their current bindings
+ */
+async function loadShortcuts() {
+  const commands = await chrome.commands.getAll();
+  shortcutsListEl.replaceChildren(...commands
+    .filter((command) => !command.name.startsWith('_'))
+    .map((command) => {
+      const item = document.createElement('li');
+      const description = document.createElement('span');
+      description.textContent = command.description;
+      const binding = document.createElement(command.shortcut ? 'kbd' : 'span');
+      binding.textContent = command.shortcut || t('shortcutNotSet');
+      if (!command.shortcut) binding.className = 'shortcut-unset';
+      item.append(description, binding);
+      return item;
+    }));
+}
+
+/**
+ * Load focus mode config into the form
+ */
+async function loadFocusModeSettings() {
+  const config = await getFocusMode();
+  focusModeEnabledInput.checked = config.enabled;
+  focusModeScheduledInput.checked = config.scheduled;
+  focusModeDayInputs.forEach((input) => {
+    input.checked = config.days.includes(Number(input.value));
+  });
+  focusModeStartInput.value = config.start;
+  focusModeEndInput.value = config.end;
+  updateFocusModeScheduleState();
+}
+
+/**
+ * Grey out the schedule fields unless the schedule is in use
+ */
+function updateFocusModeScheduleState() {
+  focusModeScheduledInput.closest('.settings-card')
+    .classList.toggle('disabled', !focusModeScheduledInput.checked);
+}
+
+/**
+ * Save the focus mode form
+ * @param {Event} e - Change event (its target gets the save confirmation)
+ */
+async function saveFocusModeSettings(e) {
+  await saveFocusMode({
+    enabled: focusModeEnabledInput.checked,
+    scheduled: focusModeScheduledInput.checked,
+    days: focusModeDayInputs.filter((input) => input.checked).map((input) => Number(input.value)),
+    start: focusModeStartInput.value || '09:00',
+    end: focusModeEndInput.value || '17:00'
+  });
+  updateFocusModeScheduleState();
+  showSaveConfirmation(e.target.closest('.setting-row') || e.target);
+}
+
+/**
+ * Load schedules and render the editor
+ * @param {boolean} isPro - Schedules are locked for Basic
+ * @param {Object} effectiveSettings - Regular settings, shown where a schedule keeps them
+ */
+async function loadSchedules(isPro, effectiveSettings) {
+  scheduleConfig = await getSchedules();
+  if (!scheduleConfig.schedules.some((schedule) => schedule.id === scheduleBrush)) {
+    scheduleBrush = scheduleConfig.schedules[0]?.id || null;
+  }
+  schedulesCard.classList.toggle('locked', !isPro);
+  schedulesCard.dataset.threshold = effectiveSettings.drift_threshold_min;
+  schedulesCard.dataset.cooldown = effectiveSettings.cooldown_min;
+  renderSchedules();
+}
+
+/**
+ * Save the schedules being edited
+ */
+async function persistSchedules() {
+  await saveSchedules(scheduleConfig);
+}
+
+/**
+ * Render the schedule list, brushes and weekly grid
+ */
+function renderSchedules() {
+  addScheduleBtn.disabled = schedulesCard.classList.contains('locked') ||
+    scheduleConfig.schedules.length >= MAX_SCHEDULES;
+  renderScheduleList();
+  renderScheduleBrushes();
+  renderScheduleGrid();
+}
+
+/**
+ * Get a schedule's color
+ * @param {string|null} id
+ * @returns {string}
+ */
+function scheduleColor(id) {
+  const index = scheduleConfig.schedules.findIndex((schedule) => schedule.id === id);
+  return index === -1 ? '' : SCHEDULE_COLORS[index % SCHEDULE_COLORS.length];
+}
+
+/**
+ * Get a schedule's name for the grid (null = hours without a schedule)
+ * @param {string|null} id
+ * @returns {string}
+ */
+function scheduleName(id) {
+  const schedule = scheduleConfig.schedules.find((item) => item.id === id);
+  return schedule ? schedule.name || t('scheduleUnnamed') : t('scheduleNone');
+}
+
+/**
+ * Build a labelled field for a schedule card
+ * @param {string} label
+ * @param {HTMLElement} input
+ * @returns {HTMLLabelElement}
+ */
+function createScheduleField(label, input) {
+  const field = document.createElement('label');
+  field.className = 'schedule-field';
+  field.append(label, input);
+  return field;
+}
+
+/**
+ * Render one editable card per schedule
+ */
+function renderScheduleList() {
+  schedulesListEl.innerHTML = '';
+  const locked = schedulesCard.classList.contains('locked');
+
+  scheduleConfig.schedules.forEach((schedule) => {
+    const item = document.createElement('div');
+    item.className = 'schedule-item';
+    item.style.borderLeftColor = scheduleColor(schedule.id);
+
+    const onChange = async (e, rerender = false) => {
+      await persistSchedules();
+      if (rerender) {
+        renderScheduleBrushes();
+        renderScheduleGrid();
+      }
+      showSaveConfirmation(e.target);
+    };
+
+    const nameInput = document.createElement('input');
+    nameInput.type = 'text';
+    nameInput.className = 'schedule-name';
+    nameInput.value = schedule.name;
+    nameInput.maxLength = 40;
+    nameInput.setAttribute('aria-label', t('scheduleName'));
+    nameInput.addEventListener('change', (e) => {
+      schedule.name = nameInput.value.trim();
+      onChange(e, true);
+    });
+
+    const enabledInput = document.createElement('input');
+    enabledInput.type = 'checkbox';
+    enabledInput.checked = schedule.enabled;
+    enabledInput.addEventListener('change', (e) => {
+      schedule.enabled = enabledInput.checked;
+      item.classList.toggle('nudges-off', !schedule.enabled);
+      onChange(e);
+    });
+    item.classList.toggle('nudges-off', !schedule.enabled);
+
+    const deleteBtn = createRuleButton('✕', t('scheduleDelete'), async () => {
+      scheduleConfig.schedules = scheduleConfig.schedules.filter((item) => item.id !== schedule.id);
+      scheduleConfig.grid = scheduleConfig.grid.map((id) => (id === schedule.id ? null : id));
+      if (scheduleBrush === schedule.id) scheduleBrush = scheduleConfig.schedules[0]?.id || null;
+      renderSchedules();
+      await persistSchedules();
+    });
+
+    const header = document.createElement('div');
+    header.className = 'schedule-item-header';
+    header.append(nameInput, createScheduleField(t('scheduleNudges'), enabledInput), deleteBtn);
+
+    // Empty number fields keep the regular setting, shown as the placeholder
+    const createMinutesInput = (key, regular) => {
+      const input = document.createElement('input');
+      input.type = 'number';
+      input.min = 1;
+      input.max = 120;
+      input.placeholder = regular;
+      input.value = schedule[key] ?? '';
+      input.addEventListener('change', (e) => {
+        const value = parseInt(input.value);
+        schedule[key] = Number.isNaN(value) ? null : Math.max(1, Math.min(120, value));
+        input.value = schedule[key] ?? '';
+        onChange(e);
+      });
+      return input;
+    };
+
+    const toneSelectEl = createSelect([
+      { value: '', label: t('scheduleToneDefault') },
+      { value: 'gentle', label: t('toneGentle') },
+      { value: 'motivational', label: t('toneMotivational') },
+      { value: 'sarcastic', label: t('toneSarcastic') }
+    ], schedule.tone || '');
+    toneSelectEl.addEventListener('change', (e) => {
+      schedule.tone = toneSelectEl.value || null;
+      onChange(e);
+    });
+
+    const fields = document.createElement('div');
+    fields.className = 'schedule-fields';
+    fields.append(
+      createScheduleField(t('scheduleThreshold'), createMinutesInput('drift_threshold_min', schedulesCard.dataset.threshold)),
+      createScheduleField(t('scheduleCooldown'), createMinutesInput('cooldown_min', schedulesCard.dataset.cooldown)),
+      createScheduleField(t('optionsTone'), toneSelectEl)
+    );
+
+    const sites = document.createElement('div');
+    sites.className = 'schedule-sites';
+    sites.append(t('scheduleDriftSites'));
+    listSites().forEach((site) => {
+      const siteInput = document.createElement('input');
+      siteInput.type = 'checkbox';
+      siteInput.checked = schedule.drift_sites.includes(site.id);
+      siteInput.addEventListener('change', (e) => {
+        schedule.drift_sites = siteInput.checked
+          ? [...schedule.drift_sites, site.id]
+          : schedule.drift_sites.filter((id) => id !== site.id);
+        onChange(e);
+      });
+      const option = createScheduleField(site.label, siteInput);
+      option.classList.add('day-option');
+      sites.appendChild(option);
+    });
+
+    item.append(header, fields, sites);
+    item.querySelectorAll('input, select, button').forEach((el) => { el.disabled = locked; });
+    schedulesListEl.appendChild(item);
+  });
+}
+
+/**
+ * Render the picker for what dragging across the grid paints
+ */
+function renderScheduleBrushes() {
+  scheduleBrushesEl.innerHTML = '';
+  [null, ...scheduleConfig.schedules.map((schedule) => schedule.id)].forEach((id) => {
+    const input = document.createElement('input');
+    input.type = 'radio';
+    input.name = 'scheduleBrush';
+    input.checked = id === scheduleBrush;
+    input.disabled = schedulesCard.classList.contains('locked');
+    input.addEventListener('change', () => { scheduleBrush = id; });
+
+    const swatch = document.createElement('span');
+    swatch.className = 'schedule-swatch';
+    swatch.style.background = scheduleColor(id);
+
+    const label = document.createElement('label');
+    label.className = 'schedule-brush';
+    label.append(input, swatch, scheduleName(id));
+    scheduleBrushesEl.appendChild(label);
+  });
+}
+
+/**
+ * Show which schedule covers a grid hour
+ * @param {HTMLButtonElement} cell
+ */
+function updateScheduleCell(cell) {
+  const index = Number(cell.dataset.index);
+  const id = scheduleConfig.grid[index];
+  const day = Math.floor(index / 24);
+  const hour = String(index % 24).padStart(2, '0');
+  cell.style.background = scheduleColor(id);
+  cell.classList.toggle('nudges-off', scheduleConfig.schedules.some((item) => item.id === id && !item.enabled));
+  cell.setAttribute('aria-label', t('scheduleCell', [t(DAY_NAMES[day]), hour, scheduleName(id)]));
+  cell.title = cell.getAttribute('aria-label');
+}
+
+/**
+ * Paint a grid hour with the selected schedule
+ * @param {HTMLButtonElement} cell
+ */
+function paintScheduleCell(cell) {
+  scheduleConfig.grid[Number(cell.dataset.index)] = scheduleBrush;
+  updateScheduleCell(cell);
+}
+
+/**
+ * Render the weekly grid: one row per day, one cell per hour
+ */
+function renderScheduleGrid() {
+  scheduleGridEl.innerHTML = '';
+  const locked = schedulesCard.classList.contains('locked');
+
+  const head = scheduleGridEl.createTHead().insertRow();
+  head.appendChild(document.createElement('th'));
+  for (let hour = 0; hour < 24; hour++) {
+    const th = document.createElement('th');
+    th.textContent = hour % 3 === 0 ? String(hour).padStart(2, '0') : '';
+    head.appendChild(th);
+  }
+
+  const body = scheduleGridEl.createTBody();
+  SCHEDULE_DAYS.forEach((day) => {
+    const row = body.insertRow();
+    const th = document.createElement('th');
+    th.scope = 'row';
+    th.textContent = t(DAY_NAMES[day]);
+    row.appendChild(th);
+    for (let hour = 0; hour < 24; hour++) {
+      const cell = document.createElement('button');
+      cell.type = 'button';
+      cell.className = 'schedule-cell';
+      cell.dataset.index = day * 24 + hour;
+      cell.disabled = locked;
+      updateScheduleCell(cell);
+      row.insertCell().appendChild(cell);
+    }
+  });
+}
+
+/**
+ * Build a <select> with the given options
+ * @param {Array<{value: string, label: string}>} options
+ * @param {string} value - Selected value
+ * @returns {HTMLSelectElement}
+ */
+function createSelect(options, value) {
+  const select = document.createElement('select');
+  options.forEach(({ value: optValue, label }) => {
+    const option = document.createElement('option');
+    option.value = optValue;
+    option.textContent = label;
+    select.appendChild(option);
+  });
+  select.value = value;
+  return select;
+}
+
+/**
+ * Create a small icon button for a rule row
+ * @param {string} text - Button label
+ * @param {string} title - Tooltip
+ * @param {Function} onClick
+ * @returns {HTMLButtonElement}
+ */
+function createRuleButton(text, title, onClick) {
+  const button = document.createElement('button');
+  button.type = 'button';
+  button.className = 'rule-button';
+  button.textContent = text;
+  button.title = title;
+  button.addEventListener('click', onClick);
+  return button;
+}
+
+/**
+ * Persist every rule, in order, and refresh the tester
+ * Invalid rules are kept so they can be fixed later; they never match (see ruleMatchesPath)
+ */
+async function persistUserRules() {
+  await saveUserRules(userRules);
+  updateRuleTest();
+}
+
+/**
+ * Render the user rules editor
+ */
+function renderUserRules() {
+  rulesListEl.innerHTML = '';
+
+  if (userRules.length === 0) {
+    const empty = document.createElement('p');
+    empty.className = 'rules-empty';
+    empty.textContent = t('rulesEmpty');
+    rulesListEl.appendChild(empty);
+    return;
+  }
+
+  const siteOptions = [
+    { value: ANY_SITE, label: t('rulesAnySite') },
+    ...listSites().map((site) => ({ value: site.id, label: site.label }))
+  ];
+  const typeOptions = RULE_TYPES.map((type) => ({ value: type, label: type }));
+  const modeOptions = RULE_MODES.map((mode) => ({ value: mode, label: mode }));
+
+  userRules.forEach((rule, index) => {
+    const row = document.createElement('div');
+    row.className = 'rule-row';
+
+    const siteSelect = createSelect(siteOptions, rule.site || ANY_SITE);
+    const typeSelect = createSelect(typeOptions, rule.type);
+    const patternInput = document.createElement('input');
+    patternInput.type = 'text';
+    patternInput.value = rule.pattern;
+    patternInput.placeholder = rule.type === 'regex' ? '^/in/[^/]+/?$' : '/mynetwork';
+    const modeSelect = createSelect(modeOptions, rule.mode);
+    const errorEl = document.createElement('span');
+    errorEl.className = 'rule-error';
+
+    const markValidity = () => {
+      const error = validateRule(rule);
+      patternInput.classList.toggle('invalid', !!error);
+      patternInput.title = error || '';
+      errorEl.textContent = error ? t('rulesInvalid', error) : '';
+      errorEl.hidden = !error;
+    };
+    markValidity();
+
+    const onChange = async () => {
+      rule.site = siteSelect.value;
+      rule.type = typeSelect.value;
+      rule.pattern = patternInput.value.trim();
+      rule.mode = modeSelect.value;
+      markValidity();
+      await persistUserRules();
+    };
+    [siteSelect, typeSelect, modeSelect].forEach((el) => el.addEventListener('change', onChange));
+    patternInput.addEventListener('change', onChange);
+
+    const moveRule = async (offset) => {
+      const [moved] = userRules.splice(index, 1);
+      userRules.splice(index + offset, 0, moved);
+      renderUserRules();
+      await persistUserRules();
+    };
+    const upBtn = createRuleButton('↑', t('rulesMoveUp'), () => moveRule(-1));
+    upBtn.disabled = index === 0;
+    const downBtn = createRuleButton('↓', t('rulesMoveDown'), () => moveRule(1));
+    downBtn.disabled = index === userRules.length - 1;
+    const deleteBtn = createRuleButton('✕', t('rulesDelete'), async () => {
+      userRules.splice(index, 1);
+      renderUserRules();
+      await persistUserRules();
+    });
+
+    row.append(siteSelect, typeSelect, patternInput, modeSelect, upBtn, downBtn, deleteBtn, errorEl);
+    rulesListEl.appendChild(row);
+  });
+}
+
+/**
+ * Load user rules from storage and render them
+ */
+async function loadUserRules() {
+  userRules = await getUserRules();
+  renderUserRules();
+  updateRuleTest();
+}
+
+/**
+ * Classify the URL in the tester box and show which rule matched
+ */
+function updateRuleTest() {
+  const url = testUrlInput.value.trim();
+  if (!url) {
+    testResultEl.textContent = '';
+    return;
+  }
+
+  // Invalid rules never match, so the matched index is the rule's row in the editor
+  const result = classifyPage({ url, userRules });
+  if (!result.site) {
+    testResultEl.textContent = t('rulesTestUnsupported');
+    return;
+  }
+
+  const site = getSite(result.site);
+  const source = result.rule
+    ? t('rulesTestMatched', [result.rule.index + 1, result.rule.type, result.rule.pattern])
+    : t('rulesTestDefault', site.label);
+
+  testResultEl.innerHTML = '';
+  const modeEl = document.createElement('span');
+  modeEl.className = `mode-${result.mode.toLowerCase()}`;
+  modeEl.textContent = result.mode;
+  testResultEl.append(modeEl, ` (${subModeLabel(result.subMode)}) - ${source}`);
+}
+
 // Settings event listeners
 toneSelect.addEventListener('change', async (e) => {
   await saveSetting('tone', e.target.value, e.target);
@@ -408,8 +1254,171 @@ cooldownInput.addEventListener('change', async (e) => {
   await saveSetting('cooldown_min', parseInt(e.target.value) || 10, e.target, 1, 120);
 });
 
+[focusModeEnabledInput, focusModeScheduledInput, focusModeStartInput, focusModeEndInput, ...focusModeDayInputs]
+  .forEach((input) => input.addEventListener('change', saveFocusModeSettings));
+
+addRuleBtn.addEventListener('click', () => {
+  userRules.push({ site: ANY_SITE, type: 'prefix', pattern: '', mode: 'DRIFT' });
+  renderUserRules();
+  const inputs = rulesListEl.querySelectorAll('input[type="text"]');
+  inputs[inputs.length - 1]?.focus();
+});
+
+testUrlInput.addEventListener('input', updateRuleTest);
+
+addScheduleBtn.addEventListener('click', async () => {
+  const schedule = createSchedule(t('scheduleDefaultName', scheduleConfig.schedules.length + 1));
+  scheduleConfig.schedules.push(schedule);
+  scheduleBrush = schedule.id;
+  renderSchedules();
+  await persistSchedules();
+  schedulesListEl.querySelector('.schedule-item:last-child .schedule-name')?.select();
+});
+
+// Drag across the grid to paint hours; keyboard clicks (detail 0) paint one hour
+scheduleGridEl.addEventListener('pointerdown', (e) => {
+  const cell = e.target.closest('.schedule-cell');
+  if (!cell || cell.disabled) return;
+  e.preventDefault();
+  schedulePainting = true;
+  paintScheduleCell(cell);
+});
+scheduleGridEl.addEventListener('pointerover', (e) => {
+  const cell = e.target.closest('.schedule-cell');
+  if (schedulePainting && cell) paintScheduleCell(cell);
+});
+document.addEventListener('pointerup', async () => {
+  if (!schedulePainting) return;
+  schedulePainting = false;
+  await persistSchedules();
+});
+scheduleGridEl.addEventListener('click', async (e) => {
+  const cell = e.target.closest('.schedule-cell');
+  if (!cell || e.detail !== 0) return;
+  paintScheduleCell(cell);
+  await persistSchedules();
+});
+
+diagnosticsDetails.addEventListener('toggle', () => {
+  if (!diagnosticsDetails.open) return;
+  loadDiagnostics();
+  loadTraceStatus();
+});
+refreshDiagnosticsBtn.addEventListener('click', () => {
+  loadDiagnostics();
+  loadTraceStatus();
+});
+
+traceRecordingInput.addEventListener('change', async (e) => {
+  await setRecording(e.target.checked);
+  await loadTraceStatus();
+});
+
+downloadTraceBtn.addEventListener('click', downloadTrace);
+
+messageLinesInputs.forEach((input) => input.addEventListener('change', saveMessages));
+
+exportMessagesBtn.addEventListener('click', async () => {
+  downloadJson(buildPackFile(await getMessagePack()), 'focus-nudge-messages');
+});
+
+importMessagesBtn.addEventListener('click', () => importMessagesFileInput.click());
+
+importMessagesFileInput.addEventListener('change', async () => {
+  const [file] = importMessagesFileInput.files;
+  importMessagesFileInput.value = ''; // Allow importing the same file again
+  if (file) await importMessages(file);
+});
+
+resetMessagesBtn.addEventListener('click', async () => {
+  if (confirm(t('messagesResetConfirm'))) {
+    await resetMessagePack();
+    await loadMessages();
+    setMessagesStatus(t('messagesReset'));
+  }
+});
+
+clearTraceBtn.addEventListener('click', async () => {
+  if (confirm(t('traceClearConfirm'))) {
+    await clearTrace();
+    await loadTraceStatus();
+  }
+});
+
+ladderSelects.forEach((select) => {
+  select.addEventListener('change', async (e) => {
+    // "Off" steps are skipped; the last step repeats for every further nudge
+    const ladder = ladderSelects.map((s) => s.value).filter(Boolean);
+    await saveSetting('escalation_ladder', ladder, e.target);
+  });
+});
+
+driftStrategySelect.addEventListener('change', async (e) => {
+  renderDriftStrategies(e.target.value);
+  await saveSetting('drift_strategy', e.target.value, e.target);
+});
+
+blockMinutesInput.addEventListener('change', async (e) => {
+  await saveSetting('block_min', parseInt(e.target.value) || 10, e.target, 1, 120);
+});
+
+snoozeInput.addEventListener('change', async (e) => {
+  await saveSetting('snooze_min', parseInt(e.target.value) || 15, e.target, 1, 240);
+});
+
+badgeModeSelect.addEventListener('change', async (e) => {
+  await saveSetting('badge_mode', e.target.value, e.target);
+});
+
+// chrome:// pages can't be opened from a link
+editShortcutsBtn.addEventListener('click', () => {
+  chrome.tabs.create({ url: 'chrome://extensions/shortcuts' });
+});
+
+// Bindings may have been changed on the shortcuts page in the meantime
+window.addEventListener('focus', loadShortcuts);
+
+dailyBudgetInput.addEventListener('change', async (e) => {
+  await saveSetting('daily_budget_min', parseInt(e.target.value) || 0, e.target, 0, 600);
+});
+
+dayResetHourSelect.addEventListener('change', async (e) => {
+  await saveSetting('day_reset_hour', parseInt(e.target.value) || 0, e.target);
+});
+
+budgetInterventionSelect.addEventListener('change', async (e) => {
+  await saveSetting('budget_intervention', e.target.value, e.target);
+});
+
+intentionPromptInput.addEventListener('change', async (e) => {
+  await saveSetting('intention_prompt', e.target.checked, e.target);
+});
+
+overlayThemeSelect.addEventListener('change', async (e) => {
+  await saveSetting('overlay_theme', e.target.value, e.target);
+});
+
+overlayPositionSelect.addEventListener('change', async (e) => {
+  await saveSetting('overlay_position', e.target.value, e.target);
+});
+
+toastDurationInput.addEventListener('change', async (e) => {
+  const value = parseInt(e.target.value);
+  await saveSetting('toast_duration_sec', Number.isNaN(value) ? 10 : value, e.target, 0, 300);
+});
+
+overlayDurationInput.addEventListener('change', async (e) => {
+  const value = parseInt(e.target.value);
+  await saveSetting('overlay_duration_sec', Number.isNaN(value) ? 20 : value, e.target, 0, 300);
+});
+
+languageSelect.addEventListener('change', async (e) => {
+  await setLanguagePreference(e.target.value);
+  location.reload(); // Every string on the page is rendered in the old language
+});
+
 resetSummaryBtn.addEventListener('click', async () => {
-  if (confirm('Reset this week\'s summary?')) {
+  if (confirm(t('summaryResetConfirm'))) {
     await resetWeeklySummary();
     await loadWeeklySummary();
   }
@@ -422,6 +1431,16 @@ manageButton.addEventListener('click', handleManageSubscription);
 
 // Initialize on load
 document.addEventListener('DOMContentLoaded', async () => {
+  await initI18n();
+  localizePage();
+  Object.entries(SUPPORTED_LANGUAGES).forEach(([code, name]) => {
+    languageSelect.appendChild(new Option(name, code));
+  });
+  ladderSelects.forEach((select, i) => select.setAttribute('aria-label', t('optionsLadderStep', i + 1)));
+  for (let hour = 0; hour < 24; hour++) {
+    dayResetHourSelect.appendChild(new Option(`${String(hour).padStart(2, '0')}:00`, hour));
+  }
+
   await loadState(); // Load current state first
   
   // Always check for license activation if Basic (webhook might have fired)
@@ -1,11 +1,18 @@
-// Minimal popup: Show status and link to options
+// Minimal popup: Show status, the current tab's drift, daily budget, pause controls, focus mode toggle and link to options
+
+const { getFocusMode, saveFocusMode, isFocusModeActive } = self.FocusNudgeFocusMode;
+const { t, init: initI18n, localizePage } = self.FocusNudgeI18n;
+const { DAILY_DRIFT_KEY } = self.FocusNudgeMetrics;
+const { PAUSE_KEY } = self.FocusNudgePause;
+
+const LIVE_REFRESH_MS = 1000; // Cooldown counts down by the second; drift changes on every check
 
 async function loadPlan() {
   try {
     const response = await chrome.runtime.sendMessage({ type: "GET_PLAN" });
     const plan = response || { isPro: false };
     const badge = document.getElementById("planBadge");
-    badge.textContent = plan.isPro ? "Pro" : "Basic";
+    badge.textContent = plan.isPro ? t("planPro") : t("planBasic");
     badge.className = `plan-badge ${plan.isPro ? "pro" : "basic"}`;
   } catch (err) {
     // Silently fail - user can still access options
@@ -17,10 +24,10 @@ async function checkStatus() {
     const stored = await chrome.storage.local.get({ focusNudgeEnabled: true });
     const statusEl = document.getElementById("status");
     if (!stored.focusNudgeEnabled) {
-      statusEl.textContent = "Focus Nudge is disabled";
+      statusEl.textContent = t("popupStatusDisabled");
       statusEl.style.color = "#d32f2f";
     } else {
-      statusEl.textContent = "Focus Nudge is active";
+      statusEl.textContent = t("popupStatusActive");
       statusEl.style.color = "#4CAF50";
     }
   } catch (err) {
@@ -28,11 +35,159 @@ async function checkStatus() {
   }
 }
 
+function formatCountdown(ms) {
+  const totalSec = Math.ceil(ms / 1000);
+  return `${Math.floor(totalSec / 60)}:${String(totalSec % 60).padStart(2, "0")}`;
+}
+
+async function getActiveTab() {
+  const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+  return tab || null;
+}
+
+async function loadLiveState() {
+  try {
+    const tab = await getActiveTab();
+    const live = await chrome.runtime.sendMessage({ type: "GET_LIVE_STATE", tabId: tab?.id });
+    if (!live || live.error) return;
+
+    document.getElementById("liveToday").textContent = t("popupToday", [Math.round(live.today.drift_ms / 60000), live.today.nudges]);
+    document.getElementById("livePage").hidden = !live.tracked;
+    document.getElementById("liveDrift").hidden = !live.tracked;
+    if (!live.tracked) {
+      document.getElementById("liveCooldown").hidden = true;
+      return;
+    }
+
+    const mode = (live.mode || "UNKNOWN").toLowerCase();
+    const modeEl = document.getElementById("liveMode");
+    modeEl.textContent = t(`mode_${mode}`, [], live.mode);
+    modeEl.className = `mode-pill ${mode}`;
+    document.getElementById("liveSubMode").textContent =
+      t("popupLivePage", [live.siteLabel, t(`subMode_${live.subMode}`, [], live.subMode)]);
+
+    const ratio = live.thresholdMs ? live.driftMs / live.thresholdMs : 0;
+    document.getElementById("liveDrift").className = `live-drift${ratio >= 1 ? " full" : ""}`;
+    document.getElementById("liveDriftLabel").textContent =
+      t("popupLiveDrift", [(live.driftMs / 60000).toFixed(1), live.settings.drift_threshold_min]);
+    document.getElementById("liveDriftFill").style.width = `${Math.min(100, ratio * 100)}%`;
+
+    const cooldownEl = document.getElementById("liveCooldown");
+    cooldownEl.hidden = !(live.cooldownLeftMs > 0);
+    cooldownEl.textContent = t("popupLiveCooldown", formatCountdown(live.cooldownLeftMs));
+  } catch (err) {
+    // Silently fail - the next refresh tries again
+  }
+}
+
+async function loadBudget() {
+  try {
+    const budget = await chrome.runtime.sendMessage({ type: "GET_BUDGET" });
+    const el = document.getElementById("budget");
+    el.hidden = !budget?.enabled;
+    if (!budget?.enabled) return;
+
+    const budgetMin = Math.round(budget.budgetMs / 60000);
+    const resetsAt = new Date(budget.resetsAtMs).toLocaleTimeString([], { hour: "2-digit", minute: "2-digit" });
+    el.className = `budget ${budget.state}`;
+    document.getElementById("budgetLabel").textContent = budget.state === "exhausted"
+      ? t("popupBudgetExhausted", [budgetMin, resetsAt])
+      : t("popupBudgetRemaining", [formatCountdown(budget.remainingMs), budgetMin]);
+    document.getElementById("budgetFill").style.width = `${Math.min(100, budget.ratio * 100)}%`;
+  } catch (err) {
+    // Silently fail - the budget shows again next time the popup opens
+  }
+}
+
+
+function formatResumeTime(ms) {
+  const date = new Date(ms);
+  const time = date.toLocaleTimeString([], { hour: "2-digit", minute: "2-digit" });
+  return date.toDateString() === new Date().toDateString()
+    ? time
+    : t("popupPauseTomorrowAt", time);
+}
+
+async function loadPause() {
+  try {
+    const tab = await getActiveTab();
+    const { pause, tabPause } = await chrome.runtime.sendMessage({ type: "GET_PAUSE", tabId: tab?.id });
+    const statusEl = document.getElementById("pauseStatus");
+    const current = pause || tabPause;
+    statusEl.hidden = !current;
+    document.getElementById("pauseButtons").hidden = !!current;
+    // Tabs on sites the extension doesn't track have no URL here (host permissions only)
+    document.querySelector('[data-pause="tab"]').disabled = !tab?.url;
+    if (!current) return;
+
+    const by = t(`pauseSource_${current.by}`);
+    document.getElementById("pauseLabel").textContent = pause
+      ? t("popupPausedUntil", [by, formatResumeTime(pause.until_ms)])
+      : t("popupPausedTab", by);
+  } catch (err) {
+    // Silently fail - pausing is also possible from a nudge's snooze
+  }
+}
+
+document.querySelectorAll("[data-pause]").forEach((button) => {
+  button.addEventListener("click", async () => {
+    const tab = await getActiveTab();
+    await chrome.runtime.sendMessage({ type: "PAUSE", kind: button.dataset.pause, by: "popup", tabId: tab?.id });
+    await loadPause();
+  });
+});
+
+document.getElementById("resumeButton").addEventListener("click", async () => {
+  const tab = await getActiveTab();
+  await chrome.runtime.sendMessage({ type: "RESUME", tabId: tab?.id });
+  await loadPause();
+});
+
+async function loadFocusMode() {
+  try {
+    const config = await getFocusMode();
+    const toggle = document.getElementById("focusModeToggle");
+    const note = document.getElementById("focusModeNote");
+    toggle.checked = config.enabled;
+
+    if (config.enabled && config.scheduled) {
+      note.textContent = isFocusModeActive(config)
+        ? t("popupFocusScheduledActive", [config.start, config.end])
+        : t("popupFocusScheduledInactive", [config.start, config.end]);
+    } else {
+      note.textContent = "";
+    }
+  } catch (err) {
+    console.error('Focus mode load failed:', err);
+  }
+}
+
+document.getElementById("focusModeToggle").addEventListener("change", async (e) => {
+  const config = await getFocusMode();
+  await saveFocusMode({ ...config, enabled: e.target.checked });
+  await loadFocusMode();
+});
+
+// Drift is added on every check, so the budget counts down while the popup is open
+chrome.storage.onChanged.addListener((changes, area) => {
+  if (area === "local" && changes[DAILY_DRIFT_KEY]) loadBudget();
+  if (area === "local" && changes[PAUSE_KEY]) loadPause();
+});
+
 document.getElementById("optionsLink").addEventListener("click", (e) => {
   e.preventDefault();
   chrome.runtime.openOptionsPage();
 });
 
-// Load plan status and check if enabled
-loadPlan();
-checkStatus();
\ No newline at end of file
+// Translate, then load plan status and check if enabled
+initI18n().then(() => {
+  localizePage();
+  loadPlan();
+  checkStatus();
+  loadLiveState();
+  loadBudget();
+  loadPause();
+  loadFocusMode();
+  // Keep the dashboard current while the popup is open (it closes with the popup)
+  setInterval(loadLiveState, LIVE_REFRESH_MS);
+});
\ No newline at end of file
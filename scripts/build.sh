@@ -13,6 +13,14 @@ echo "Building Focus Nudge extension..."
 rm -rf "$BUILD_DIR"
 mkdir -p "$BUILD_DIR"
 
+# Fail if the manifest or the worker's site imports lag the site registry (fix with: node scripts/sync-sites.js)
+echo "Checking sites are in sync..."
+node "$SCRIPT_DIR/sync-sites.js" --check
+
+# Check the drift engine under plain Node
+echo "Checking the drift engine..."
+node "$SCRIPT_DIR/check-drift.js"
+
 # Copy extension files
 echo "Copying extension files..."
 cp -r "$EXT_DIR"/* "$BUILD_DIR/"
@@ -0,0 +1,214 @@
+#!/usr/bin/env node
+// Check script: Exercise the drift engine under plain Node (no browser, no Chrome APIs)
+// Run after changing extension/src/shared/drift.js or the drift settings in plan.js (scripts/build.sh runs it too):
+//   node scripts/check-drift.js
+
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const extDir = path.join(__dirname, '../extension');
+// Sites registry first: the engine looks up sub-mode weights there
+const engineFiles = ['src/shared/sites.js', 'src/shared/drift.js'];
+
+const MIN = 60_000;
+const SETTINGS = { drift_threshold_min: 15, cooldown_min: 10, drift_strategy: 'linear' };
+const PASSIVE = { scrollVelocityPxPerSec: 800, dwellPerViewportSec: 5, typingBursts: 0 };
+const ACTIVE = { scrollVelocityPxPerSec: 50, dwellPerViewportSec: 120, typingBursts: 3 };
+
+function loadScripts(files, globals = {}) {
+  const sandbox = { URL, ...globals };
+  sandbox.self = sandbox;
+  vm.createContext(sandbox);
+  for (const file of files) {
+    vm.runInContext(fs.readFileSync(path.join(extDir, file), 'utf8'), sandbox, { filename: file });
+  }
+  return sandbox;
+}
+
+function observe(overrides = {}) {
+  return {
+    nowMs: 0,
+    deltaMs: MIN,
+    mode: 'DRIFT',
+    subModeWeight: 1,
+    confidence: 0.9,
+    behavior: PASSIVE,
+    ...overrides
+  };
+}
+
+// Feed the same observation minute after minute
+function run(engine, settings, minutes, overrides) {
+  let state = engine.createState();
+  let result = null;
+  for (let i = 1; i <= minutes; i++) {
+    result = engine.step(state, observe({ nowMs: i * MIN, ...overrides }), settings);
+    state = result.state;
+  }
+  return result;
+}
+
+const checks = [];
+function check(name, fn) {
+  checks.push({ name, fn });
+}
+
+const engine = loadScripts(engineFiles).FocusNudgeDrift;
+
+check('loads with require() too', () => {
+  const required = require(path.join(extDir, 'src/shared/drift.js'));
+  assert.deepStrictEqual(Object.keys(required).sort(), Object.keys(engine).sort());
+});
+
+check('passive behavior: fast skimming without typing', () => {
+  assert.strictEqual(engine.isPassiveBehavior(PASSIVE), true);
+  assert.strictEqual(engine.isPassiveBehavior(ACTIVE), false);
+  assert.strictEqual(engine.isPassiveBehavior({}), false);
+});
+
+check('linear: passive drift builds to a nudge at the threshold', () => {
+  assert.strictEqual(run(engine, SETTINGS, 14).decision, 'below_threshold');
+  const result = run(engine, SETTINGS, 15);
+  assert.strictEqual(result.state.driftMs, 15 * MIN);
+  assert.strictEqual(result.decision, 'nudge');
+});
+
+check('linear: active use of a drift page drains drift', () => {
+  const result = engine.step({ driftMs: 10 * MIN, lastNudgeMs: 0 }, observe({ nowMs: MIN, behavior: ACTIVE }), SETTINGS);
+  assert.strictEqual(result.state.driftMs, 8 * MIN);
+  assert.strictEqual(result.accumulating, false);
+});
+
+check('linear: lower confidence builds drift more slowly', () => {
+  const result = engine.step(engine.createState(), observe({ confidence: 0.45 }), SETTINGS);
+  assert.strictEqual(result.addedMs, MIN / 2);
+});
+
+check('ema: steady drifting nudges after about threshold * ratio * ln 2', () => {
+  const settings = { ...SETTINGS, drift_strategy: 'ema' };
+  const expected = Math.ceil(15 * engine.DEFAULT_PARAMS.ema_horizon_ratio * Math.LN2);
+  assert.strictEqual(run(engine, settings, expected - 1).decision, 'below_threshold');
+  assert.strictEqual(run(engine, settings, expected + 1).decision, 'nudge');
+});
+
+check('strict: any time on a drift page counts, UNKNOWN holds, GOOD drains', () => {
+  const settings = { ...SETTINGS, drift_strategy: 'strict' };
+  assert.strictEqual(run(engine, settings, 15, { behavior: ACTIVE }).decision, 'nudge');
+  const state = { driftMs: 5 * MIN, lastNudgeMs: 0 };
+  assert.strictEqual(engine.step(state, observe({ mode: 'UNKNOWN' }), settings).state.driftMs, 5 * MIN);
+  assert.strictEqual(engine.step(state, observe({ mode: 'GOOD' }), settings).state.driftMs, 4 * MIN);
+});
+
+check('unknown strategy falls back to linear', () => {
+  assert.strictEqual(engine.getStrategy('nope'), engine.STRATEGIES.linear);
+});
+
+check('away and intentional time never builds drift', () => {
+  const state = { driftMs: 5 * MIN, lastNudgeMs: 0 };
+  const away = engine.step(state, observe({ present: false }), SETTINGS);
+  assert.strictEqual(away.decision, 'away');
+  assert.strictEqual(away.state.driftMs, 5 * MIN);
+  const intentional = engine.step(state, observe({ intentional: true }), SETTINGS);
+  assert.strictEqual(intentional.decision, 'intentional');
+  assert.ok(intentional.state.driftMs < 5 * MIN);
+});
+
+check('intentional pages never nudge, even past the threshold or over budget', () => {
+  const over = { driftMs: 30 * MIN, lastNudgeMs: 0 };
+  const result = engine.step(over, observe({ nowMs: 60 * MIN, intentional: true }), SETTINGS);
+  assert.ok(result.state.driftMs >= 15 * MIN);
+  assert.strictEqual(result.decision, 'intentional');
+  const overBudget = observe({ nowMs: 60 * MIN, intentional: true, budgetExhausted: true });
+  assert.strictEqual(engine.decide({ driftMs: 0, lastNudgeMs: 0 }, overBudget, SETTINGS), 'intentional');
+});
+
+check('shared site drift: tabs add up, and an intentional tab is spared', () => {
+  // The service worker keeps one drift state per site and steps it from every tab on that site
+  let site = engine.createState();
+  let decision = null;
+  for (let i = 1; i <= 8; i++) {
+    for (const tab of ['a', 'b']) {
+      ({ state: site, decision } = engine.step(site, observe({ nowMs: (60 + i) * MIN, tab }), SETTINGS));
+    }
+  }
+  assert.strictEqual(site.driftMs, 16 * MIN);
+  assert.strictEqual(decision, 'nudge');
+
+  const onPurpose = engine.step(site, observe({ nowMs: 69 * MIN, intentional: true }), SETTINGS);
+  assert.strictEqual(onPurpose.decision, 'intentional');
+  const otherTab = engine.step(onPurpose.state, observe({ nowMs: 70 * MIN }), SETTINGS);
+  assert.strictEqual(otherTab.decision, 'nudge');
+
+  // A nudge in one tab starts the cooldown for the whole site
+  const nudged = engine.applyNudge(otherTab.state, SETTINGS, 70 * MIN);
+  const afterNudge = engine.step(nudged, observe({ nowMs: 71 * MIN, tab: 'b' }), SETTINGS);
+  assert.ok(afterNudge.state.driftMs < 15 * MIN);
+  assert.strictEqual(afterNudge.decision, 'cooldown');
+  const overAgain = { ...nudged, driftMs: 20 * MIN };
+  assert.strictEqual(engine.decide(overAgain, observe({ nowMs: 72 * MIN, tab: 'b' }), SETTINGS), 'cooldown');
+});
+
+check('decisions: cooldown, snooze, pause, block, schedule and budget', () => {
+  const over = { driftMs: 20 * MIN, lastNudgeMs: 0 };
+  const now = { nowMs: 60 * MIN };
+  assert.strictEqual(engine.decide(over, observe(now), SETTINGS), 'nudge');
+  assert.strictEqual(engine.decide({ ...over, lastNudgeMs: 55 * MIN }, observe(now), SETTINGS), 'cooldown');
+  assert.strictEqual(engine.decide(over, observe({ ...now, snoozed: true }), SETTINGS), 'snoozed');
+  assert.strictEqual(engine.decide(over, observe({ ...now, paused: true }), SETTINGS), 'paused');
+  assert.strictEqual(engine.decide(over, observe({ ...now, blocked: true }), SETTINGS), 'blocked');
+  assert.strictEqual(engine.decide(over, observe(now), { ...SETTINGS, nudges_enabled: false }), 'schedule_off');
+  const under = { driftMs: 0, lastNudgeMs: 0 };
+  assert.strictEqual(engine.decide(under, observe({ ...now, budgetExhausted: true }), SETTINGS), 'nudge');
+  for (const decision of ['nudge', 'cooldown', 'snoozed', 'paused', 'blocked', 'schedule_off']) {
+    assert.ok(engine.DECISIONS.includes(decision), decision);
+  }
+});
+
+check('applyNudge starts the cooldown and resets drift below the threshold', () => {
+  const state = engine.applyNudge({ driftMs: 20 * MIN, lastNudgeMs: 0 }, SETTINGS, 42);
+  assert.deepStrictEqual({ ...state }, { driftMs: 15 * MIN * engine.DEFAULT_PARAMS.reset_ratio, lastNudgeMs: 42 });
+});
+
+check('settings.drift_params override the tunables', () => {
+  const settings = { ...SETTINGS, drift_params: { decay_rate: 1, reset_ratio: 0.2 } };
+  const result = engine.step({ driftMs: 10 * MIN, lastNudgeMs: 0 }, observe({ behavior: ACTIVE }), settings);
+  assert.strictEqual(result.state.driftMs, 9 * MIN);
+  assert.strictEqual(engine.applyNudge(result.state, settings, 0).driftMs, 3 * MIN);
+});
+
+check('plan: drift_params pass through on Pro only, clamped to their ranges', async () => {
+  const storage = {
+    focusNudgePlan: { isPro: true, source: 'dev' },
+    focusNudgeSettings: { drift_params: { reset_ratio: 5, decay_rate: 3, passive_max_typing_bursts: 'x', unknown: 1 } }
+  };
+  const chrome = {
+    storage: { local: { get: async (defaults) => ({ ...defaults, ...storage }), set: async () => {} } }
+  };
+  const { FocusNudgePlan } = loadScripts(['src/shared/settings.js', 'src/shared/plan.js'], { chrome });
+  const pro = await FocusNudgePlan.getEffectiveSettings();
+  assert.deepStrictEqual({ ...pro.drift_params }, { decay_rate: 3, reset_ratio: 1 });
+  const basic = await FocusNudgePlan.getEffectiveSettings({ isPro: false });
+  assert.deepStrictEqual({ ...basic.drift_params }, {});
+  for (const key of Object.keys(FocusNudgePlan.DRIFT_PARAM_RANGES)) {
+    assert.ok(key in engine.DEFAULT_PARAMS, `${key} is not a drift tunable`);
+  }
+});
+
+async function main() {
+  let failed = 0;
+  for (const { name, fn } of checks) {
+    try {
+      await fn();
+      console.log(`ok - ${name}`);
+    } catch (error) {
+      failed++;
+      console.log(`not ok - ${name}\n  ${error.message.split('\n').join('\n  ')}`);
+    }
+  }
+  console.log(`\n${checks.length - failed}/${checks.length} checks passed`);
+  process.exitCode = failed ? 1 : 0;
+}
+
+main();
@@ -0,0 +1,187 @@
+#!/usr/bin/env node
+// Replay script: Run a recorded drift trace through the drift engine with other settings
+// Record and download a trace from Options > Diagnostics, then e.g.
+//   node scripts/replay-trace.js trace.json --threshold 10,15,20 --cooldown 10,30 --strategy linear,ema
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const extDir = path.join(__dirname, '../extension');
+// Sites registry first: the engine looks up sub-mode weights there
+const engineFiles = ['src/shared/sites.js', 'src/shared/drift.js'];
+
+const USAGE = `Usage: node scripts/replay-trace.js <trace.json> [options]
+
+Options (comma-separated lists are replayed in every combination):
+  --threshold <min,...>   Drift threshold in minutes
+  --cooldown <min,...>    Cooldown between nudges in minutes
+  --strategy <id,...>     Drift strategy (linear, ema, strict)
+  --param <key=value>     Override a drift tunable (repeatable)
+  --verbose               List every nudge
+  --json                  Print results as JSON
+
+Without options the trace is replayed with the settings it was exported with.`;
+
+function loadEngine() {
+  const sandbox = { URL };
+  sandbox.self = sandbox;
+  vm.createContext(sandbox);
+  for (const file of engineFiles) {
+    vm.runInContext(fs.readFileSync(path.join(extDir, file), 'utf8'), sandbox, { filename: file });
+  }
+  return sandbox.FocusNudgeDrift;
+}
+
+function parseList(value, parse) {
+  return String(value).split(',').map((item) => parse(item.trim()));
+}
+
+function parseNumber(value) {
+  const number = Number(value);
+  if (!Number.isFinite(number) || number < 0) {
+    throw new Error(`Not a valid number: ${value}`);
+  }
+  return number;
+}
+
+function parseArgs(argv) {
+  const args = { file: null, threshold: null, cooldown: null, strategy: null, params: {}, verbose: false, json: false };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    const next = () => {
+      if (i + 1 >= argv.length) throw new Error(`Missing value for ${arg}`);
+      return argv[++i];
+    };
+    if (arg === '--threshold') args.threshold = parseList(next(), parseNumber);
+    else if (arg === '--cooldown') args.cooldown = parseList(next(), parseNumber);
+    else if (arg === '--strategy') args.strategy = parseList(next(), String);
+    else if (arg === '--param') {
+      const [key, value] = next().split('=');
+      args.params[key] = parseNumber(value);
+    } else if (arg === '--verbose') args.verbose = true;
+    else if (arg === '--json') args.json = true;
+    else if (arg === '--help' || arg === '-h') args.help = true;
+    else if (arg.startsWith('--')) throw new Error(`Unknown option: ${arg}`);
+    else args.file = arg;
+  }
+  return args;
+}
+
+// Accepts an exported trace file or a bare array of entries
+function readTrace(file) {
+  const data = JSON.parse(fs.readFileSync(file, 'utf8'));
+  const entries = Array.isArray(data) ? data : data.entries;
+  if (!Array.isArray(entries)) {
+    throw new Error(`${file} is not a Focus Nudge trace`);
+  }
+  return {
+    settings: Array.isArray(data) ? {} : data.settings || {},
+    entries: [...entries].sort((a, b) => a.nowMs - b.nowMs)
+  };
+}
+
+function combinations(args, baseline, drift) {
+  const thresholds = args.threshold || [baseline.drift_threshold_min ?? 15];
+  const cooldowns = args.cooldown || [baseline.cooldown_min ?? 10];
+  const strategies = args.strategy || [baseline.drift_strategy || 'linear'];
+  for (const id of strategies) {
+    if (!drift.STRATEGIES[id]) throw new Error(`Unknown strategy: ${id}`);
+  }
+
+  const drift_params = { ...(baseline.drift_params || {}), ...args.params };
+  return strategies.flatMap((drift_strategy) => thresholds.flatMap((drift_threshold_min) =>
+    cooldowns.map((cooldown_min) => ({ ...baseline, drift_strategy, drift_threshold_min, cooldown_min, drift_params }))
+  ));
+}
+
+// Mirrors the service worker: drift and cooldown are shared by all tabs of a site,
+// and only regular ticks (not mode-change bookkeeping) can show a nudge
+function replay(entries, settings, drift) {
+  const sites = new Map();
+  const nudges = [];
+  let driftMs = 0;
+
+  for (const entry of entries) {
+    const siteId = entry.site || 'unknown';
+    const state = sites.get(siteId) || drift.createState();
+    const result = drift.step(state, entry, settings);
+    let next = result.state;
+    driftMs += result.addedMs;
+
+    if (result.decision === 'nudge' && entry.source !== 'mode_changed') {
+      nudges.push({ site: siteId, nowMs: entry.nowMs, driftMin: next.driftMs / 60000 });
+      next = drift.applyNudge(next, settings, entry.nowMs);
+    }
+    sites.set(siteId, next);
+  }
+
+  return { nudges, driftMin: driftMs / 60000 };
+}
+
+function formatOffset(ms) {
+  const totalMin = Math.round(ms / 60000);
+  const hours = Math.floor(totalMin / 60);
+  return hours ? `${hours}h${String(totalMin % 60).padStart(2, '0')}m` : `${totalMin}m`;
+}
+
+function printReport(trace, results, verbose) {
+  const { entries } = trace;
+  const startMs = entries.length ? entries[0].nowMs : 0;
+  const spanMs = entries.length ? entries[entries.length - 1].nowMs - startMs : 0;
+  console.log(`${entries.length} observations over ${formatOffset(spanMs)}\n`);
+
+  const rows = results.map(({ settings, nudges, driftMin }) => [
+    settings.drift_strategy,
+    `${settings.drift_threshold_min}m`,
+    `${settings.cooldown_min}m`,
+    String(nudges.length),
+    nudges.length ? formatOffset(nudges[0].nowMs - startMs) : '-',
+    `${driftMin.toFixed(1)}m`
+  ]);
+  const header = ['strategy', 'threshold', 'cooldown', 'nudges', 'first', 'drift added'];
+  const widths = header.map((h, i) => Math.max(h.length, ...rows.map((row) => row[i].length)));
+  for (const row of [header, ...rows]) {
+    console.log(row.map((cell, i) => cell.padEnd(widths[i])).join('  ').trimEnd());
+  }
+
+  if (!verbose) return;
+  for (const { settings, nudges } of results) {
+    console.log(`\n${settings.drift_strategy}, threshold ${settings.drift_threshold_min}m, cooldown ${settings.cooldown_min}m:`);
+    for (const nudge of nudges) {
+      console.log(`  +${formatOffset(nudge.nowMs - startMs)}  ${new Date(nudge.nowMs).toLocaleString()}  ${nudge.site}  (${nudge.driftMin.toFixed(1)}m drift)`);
+    }
+    if (!nudges.length) console.log('  no nudges');
+  }
+}
+
+try {
+  const args = parseArgs(process.argv.slice(2));
+  if (args.help || !args.file) {
+    console.log(USAGE);
+    process.exit(args.help ? 0 : 1);
+  }
+
+  const drift = loadEngine();
+  const trace = readTrace(args.file);
+  const results = combinations(args, trace.settings, drift).map((settings) => ({
+    settings,
+    ...replay(trace.entries, settings, drift)
+  }));
+
+  if (args.json) {
+    console.log(JSON.stringify(results.map(({ settings, nudges, driftMin }) => ({
+      drift_strategy: settings.drift_strategy,
+      drift_threshold_min: settings.drift_threshold_min,
+      cooldown_min: settings.cooldown_min,
+      drift_params: settings.drift_params,
+      nudges,
+      drift_added_min: driftMin
+    })), null, 2));
+  } else {
+    printReport(trace, results, args.verbose);
+  }
+} catch (err) {
+  console.error('Error replaying trace:', err.message);
+  process.exit(1);
+}
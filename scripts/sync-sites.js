@@ -0,0 +1,109 @@
+#!/usr/bin/env node
+// Sync script: Derive manifest content-script matching and the service worker's site imports from the site registry
+// Run after adding or changing a site in extension/src/shared/sites/
+//   node scripts/sync-sites.js          Rewrite manifest.json and src/background/siteImports.js
+//   node scripts/sync-sites.js --check  Only report whether they are out of date (exit 1 if so; used by build.sh)
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const extDir = path.join(__dirname, '../extension');
+const manifestPath = path.join(extDir, 'manifest.json');
+const workerImportsPath = path.join(extDir, 'src/background/siteImports.js');
+const registryFile = 'src/shared/sites.js';
+const sitesDir = 'src/shared/sites';
+
+// Site files register in manifest order; LinkedIn first as the primary site
+const SITE_ORDER = ['linkedin', 'youtube', 'reddit', 'x', 'hackernews'];
+
+function listSiteFiles() {
+  const files = fs.readdirSync(path.join(extDir, sitesDir))
+    .filter((f) => f.endsWith('.js'))
+    .map((f) => path.basename(f, '.js'));
+
+  const rank = (id) => {
+    const i = SITE_ORDER.indexOf(id);
+    return i === -1 ? SITE_ORDER.length : i;
+  };
+  files.sort((a, b) => rank(a) - rank(b) || a.localeCompare(b));
+  return files.map((id) => `${sitesDir}/${id}.js`);
+}
+
+function loadRegistry(siteFiles) {
+  const sandbox = { URL };
+  sandbox.self = sandbox;
+  vm.createContext(sandbox);
+  for (const file of [registryFile, ...siteFiles]) {
+    vm.runInContext(fs.readFileSync(path.join(extDir, file), 'utf8'), sandbox, { filename: file });
+  }
+  return sandbox.FocusNudgeSites;
+}
+
+// importScripts() paths are relative to the service worker (src/background/service_worker.js)
+function renderWorkerImports(siteFiles) {
+  const paths = siteFiles.map((file) => `  '../shared/sites/${path.basename(file)}'`);
+  return [
+    '// Site definitions for the service worker',
+    '// Generated by scripts/sync-sites.js from extension/src/shared/sites/ - do not edit by hand',
+    '',
+    'importScripts(',
+    paths.join(',\n'),
+    ');',
+    ''
+  ].join('\n');
+}
+
+function readFile(file) {
+  return fs.existsSync(file) ? fs.readFileSync(file, 'utf8') : null;
+}
+
+try {
+  const checkOnly = process.argv.includes('--check');
+  const manifestSource = fs.readFileSync(manifestPath, 'utf8');
+  const manifest = JSON.parse(manifestSource);
+  const siteFiles = listSiteFiles();
+  const sites = loadRegistry(siteFiles);
+  const patterns = sites.listSites().flatMap((site) => sites.getMatchPatterns(site));
+
+  // Keep non-site host permissions (e.g. the license backend)
+  const otherHosts = (manifest.host_permissions || [])
+    .filter((p) => !sites.isTrackedUrl(p.replace(/\*$/, '')));
+  manifest.host_permissions = [...patterns, ...otherHosts];
+
+  for (const contentScript of manifest.content_scripts) {
+    contentScript.matches = patterns;
+
+    // Only the isolated-world script bundle needs the registry itself
+    if (contentScript.js.includes('src/content/content.js')) {
+      contentScript.js = [
+        registryFile,
+        ...siteFiles,
+        ...contentScript.js.filter((f) => !f.startsWith('src/shared/sites'))
+      ];
+    }
+  }
+
+  const outputs = [
+    { file: manifestPath, current: manifestSource, expected: JSON.stringify(manifest, null, 2) + '\n' },
+    { file: workerImportsPath, current: readFile(workerImportsPath), expected: renderWorkerImports(siteFiles) }
+  ];
+  const stale = outputs.filter((output) => output.current !== output.expected);
+
+  if (checkOnly) {
+    if (stale.length) {
+      const names = stale.map((output) => path.relative(extDir, output.file)).join(', ');
+      console.error(`Out of date with the site registry: ${names}. Run: node scripts/sync-sites.js`);
+      process.exit(1);
+    }
+    console.log(`${sites.listSites().length} sites in sync`);
+  } else {
+    for (const output of stale) {
+      fs.writeFileSync(output.file, output.expected);
+    }
+    console.log(`Synced ${sites.listSites().length} sites into manifest.json and src/background/siteImports.js`);
+  }
+} catch (err) {
+  console.error('Error syncing sites:', err);
+  process.exit(1);
+}